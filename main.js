@@ -8,20 +8,82 @@ const pngInput = document.getElementById('pngInput');
 const animSelector = document.getElementById('animSelector');
 const skinSelector = document.getElementById('skinSelector');
 const loadButton = document.getElementById('loadButton');
+const watchButton = document.getElementById('watchButton');
 const revalidateButton = document.getElementById('revalidateButton');
 const validationStatus = document.getElementById('validationStatus');
 const missingAttachments = document.getElementById('missingAttachments');
 const animationStats = document.getElementById('animationStats');
-
-let files = { json: null, atlases: [], images: [] };
+const atlasOrder = document.getElementById('atlasOrder');
+const atlasCollisions = document.getElementById('atlasCollisions');
+const pmaControls = document.getElementById('pmaControls');
+const versionReport = document.getElementById('versionReport');
+const recentSessions = document.getElementById('recentSessions');
+const tracksPanel = document.getElementById('tracksPanel');
+const mixControls = document.getElementById('mixControls');
+const playlistPanel = document.getElementById('playlistPanel');
+const playlistTimeline = document.getElementById('playlistTimeline');
+const eventMarkers = document.getElementById('eventMarkers');
+const eventLogList = document.getElementById('eventLogList');
+const eventLogCount = document.getElementById('eventLogCount');
+const eventLogClear = document.getElementById('eventLogClear');
+const audioPanel = document.getElementById('audioPanel');
+const viewFit = document.getElementById('viewFit');
+const view100 = document.getElementById('view100');
+const view200 = document.getElementById('view200');
+const viewReset = document.getElementById('viewReset');
+const zoomValue = document.getElementById('zoomValue');
+const fitMode = document.getElementById('fitMode');
+const showBounds = document.getElementById('showBounds');
+const showBones = document.getElementById('showBones');
+const showMeshes = document.getElementById('showMeshes');
+const showBoundingBoxes = document.getElementById('showBoundingBoxes');
+const showClipping = document.getElementById('showClipping');
+const showPaths = document.getElementById('showPaths');
+const showPoints = document.getElementById('showPoints');
+const backgroundColor = document.getElementById('backgroundColor');
+const backgroundPresets = document.getElementById('backgroundPresets');
+const backgroundChecker = document.getElementById('backgroundChecker');
+const referenceInput = document.getElementById('referenceInput');
+const referenceSettings = document.getElementById('referenceSettings');
+const referenceName = document.getElementById('referenceName');
+const referenceX = document.getElementById('referenceX');
+const referenceY = document.getElementById('referenceY');
+const referenceScale = document.getElementById('referenceScale');
+const referenceOpacity = document.getElementById('referenceOpacity');
+const referenceRemove = document.getElementById('referenceRemove');
+const showGrid = document.getElementById('showGrid');
+const gridSpacing = document.getElementById('gridSpacing');
+const showRulers = document.getElementById('showRulers');
+const showOrigin = document.getElementById('showOrigin');
+const cursorReadout = document.getElementById('cursorReadout');
+const bonePanel = document.getElementById('bonePanel');
+const boneSearch = document.getElementById('boneSearch');
+const boneTree = document.getElementById('boneTree');
+const boneDetails = document.getElementById('boneDetails');
+
+let files = { skeleton: null, atlases: [], images: [] };
 let spineObj = null;
 let skeletonData = null;
 let validationResults = null;
 let currentSkin = null;
+let combinedAtlas = null;
 
 // UI elements
 const warnBox = document.getElementById('warnBox');
 const terminalBox = document.getElementById('terminalBox');
+const transportBar = document.getElementById('transportBar');
+const transportStart = document.getElementById('transportStart');
+const transportBack = document.getElementById('transportBack');
+const transportPlay = document.getElementById('transportPlay');
+const transportForward = document.getElementById('transportForward');
+const transportEnd = document.getElementById('transportEnd');
+const transportScrubber = document.getElementById('transportScrubber');
+const transportTime = document.getElementById('transportTime');
+const transportFps = document.getElementById('transportFps');
+const speedControl = document.getElementById('speedControl');
+const speedValue = document.getElementById('speedValue');
+const loopMode = document.getElementById('loopMode');
+const reversePlayback = document.getElementById('reversePlayback');
 
 // Drag & drop
 dropZone.addEventListener("dragover", e => {
@@ -34,12 +96,22 @@ dropZone.addEventListener("dragleave", e => {
 dropZone.addEventListener("drop", e => {
   e.preventDefault();
   dropZone.classList.remove('dragover');
-  handleFiles(e.dataTransfer.files);
+  // Entries must be taken synchronously; the DataTransfer is emptied once the handler returns
+  const entries = Array.from(e.dataTransfer.items || [])
+    .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+    .filter(Boolean);
+  const dropped = entries.some(entry => entry.isDirectory)
+    ? collectEntryFiles(entries)
+    : Promise.resolve(Array.from(e.dataTransfer.files));
+  dropped.then(handleFiles).catch(error => {
+    showError('Drop failed: ' + error.message);
+    showTerminal('Drop error: ' + error.message);
+  });
 });
 
 // File selectors
 jsonInput.addEventListener("change", e => {
-  files.json = e.target.files[0] || null;
+  files.skeleton = e.target.files[0] || null;
   updateLoadButton();
 });
 atlasInput.addEventListener("change", e => {
@@ -52,21 +124,693 @@ pngInput.addEventListener("change", e => {
 });
 
 function updateLoadButton() {
-  const hasAllFiles = files.json && files.atlases.length > 0 && files.images.length > 0;
+  const hasAllFiles = files.skeleton && files.atlases.length > 0 && files.images.length > 0;
   loadButton.disabled = !hasAllFiles;
   loadButton.textContent = hasAllFiles ? 'Load & Validate' : 'Missing Files';
   loadButton.className = hasAllFiles ? '' : 'disabled';
+  renderAtlasOrder();
+}
+
+// **NEW: Atlas precedence list; earlier atlases win when region names collide**
+function renderAtlasOrder() {
+  atlasOrder.innerHTML = '';
+  if (files.atlases.length < 2) {
+    atlasOrder.style.display = 'none';
+    return;
+  }
+  atlasOrder.style.display = 'flex';
+
+  const title = document.createElement('span');
+  title.textContent = 'Atlas precedence:';
+  atlasOrder.appendChild(title);
+
+  files.atlases.forEach((atlasFile, index) => {
+    const item = document.createElement('span');
+    item.className = 'atlas-order-item';
+    item.textContent = `${index + 1}. ${getFilePath(atlasFile)}`;
+
+    const up = document.createElement('button');
+    up.textContent = '▲';
+    up.title = 'Higher precedence';
+    up.disabled = index === 0;
+    up.onclick = () => moveAtlas(index, -1);
+
+    const down = document.createElement('button');
+    down.textContent = '▼';
+    down.title = 'Lower precedence';
+    down.disabled = index === files.atlases.length - 1;
+    down.onclick = () => moveAtlas(index, 1);
+
+    item.appendChild(up);
+    item.appendChild(down);
+    atlasOrder.appendChild(item);
+  });
+}
+
+function moveAtlas(index, delta) {
+  const [atlasFile] = files.atlases.splice(index, 1);
+  files.atlases.splice(index + delta, 0, atlasFile);
+  renderAtlasOrder();
+  showTerminal(`Atlas precedence: ${files.atlases.map(getFilePath).join(' > ')}${skeletonData ? ' (reload to apply)' : ''}`);
 }
 
-function handleFiles(fileList) {
-  files = { json: null, atlases: [], images: [] };
-  for (let f of fileList) {
-    const ext = f.name.split('.').pop().toLowerCase();
-    if (ext === "json") files.json = f;
-    else if (ext === "atlas") files.atlases.push(f);
-    else if (ext === "png") files.images.push(f);
+async function handleFiles(fileList) {
+  let dropped = Array.from(fileList);
+
+  // **NEW: Unpack dropped .zip bundles in place of the archive itself**
+  const archives = dropped.filter(f => getFileExtension(f) === 'zip');
+  if (archives.length > 0) {
+    dropped = dropped.filter(f => getFileExtension(f) !== 'zip');
+    for (const archive of archives) {
+      showTerminal(`Unpacking ${archive.name}...`);
+      const entries = await readZipArchive(archive);
+      showTerminal(`${archive.name}: ${entries.length} files extracted`);
+      dropped = dropped.concat(entries);
+    }
+  }
+
+  // **NEW: Sound files feed event audio; a drop of only sounds keeps the loaded skeleton**
+  const sounds = dropped.filter(isAudioFile);
+  if (sounds.length > 0) {
+    dropped = dropped.filter(f => !isAudioFile(f));
+    await addEventAudioFiles(sounds);
+    if (dropped.length === 0) return;
+  }
+
+  const sets = await groupSkeletonSets(dropped);
+  let chosen = sets[0];
+  if (sets.length > 1) {
+    showTerminal(`Found ${sets.length} skeletons: ${sets.map(set => set.name).join(', ')}`);
+    await Promise.all(sets.map(async set => {
+      set.status = await checkSkeletonSet(set);
+    }));
+    chosen = await showSkeletonPicker(sets);
+    if (!chosen) {
+      showTerminal('Skeleton selection cancelled');
+      return;
+    }
   }
+
+  files = { skeleton: chosen.skeleton, atlases: chosen.atlases, images: chosen.images };
   updateLoadButton();
+
+  // Archives are complete exports, so go straight into the usual validate & load flow
+  if (archives.length > 0 && !loadButton.disabled) {
+    await validateAndLoad();
+  }
+}
+
+// Atlas page formats the texture loader can hand to PIXI
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp'];
+
+function getFileExtension(file) {
+  return file.name.split('.').pop().toLowerCase();
+}
+
+// Path inside a dropped archive or folder, falling back to the bare file name
+function getFilePath(file) {
+  return file.relativePath || file.webkitRelativePath || file.name;
+}
+
+function getFileDirectory(file) {
+  const path = getFilePath(file);
+  const slash = path.lastIndexOf('/');
+  return slash === -1 ? '' : path.substring(0, slash);
+}
+
+function getFileBaseName(file) {
+  const name = file.name;
+  const dot = name.lastIndexOf('.');
+  return (dot === -1 ? name : name.substring(0, dot)).toLowerCase();
+}
+
+// **NEW: Walk dropped folders (webkitGetAsEntry) into a flat file list with relative paths**
+async function collectEntryFiles(entries) {
+  const collected = [];
+
+  async function walk(entry) {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      file.relativePath = entry.fullPath.replace(/^\//, '');
+      collected.push(file);
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      // readEntries returns at most ~100 entries per call, keep reading until empty
+      let batch;
+      do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) {
+          await walk(child);
+        }
+      } while (batch.length > 0);
+    }
+  }
+
+  for (const entry of entries) {
+    await walk(entry);
+  }
+  showTerminal(`Collected ${collected.length} files from dropped folders`);
+  return collected;
+}
+
+// **NEW: Parse page and region names out of an atlas without loading textures**
+function parseAtlasText(atlasText) {
+  const pages = [];
+  let page = null;
+  atlasText.split(/\r\n|\r|\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (trimmed.length === 0) {
+      page = null;
+    } else if (!page) {
+      page = { name: trimmed, regions: [], settings: {} };
+      pages.push(page);
+    } else if (trimmed.indexOf(':') === -1) {
+      page.regions.push(trimmed);
+    } else if (page.regions.length === 0) {
+      // Page header (size, format, filter, repeat and, from 4.0 on, pma)
+      const colon = trimmed.indexOf(':');
+      page.settings[trimmed.slice(0, colon).trim()] = trimmed.slice(colon + 1).trim();
+    }
+  });
+  return { pages };
+}
+
+function joinPath(dir, path) {
+  const parts = [];
+  (dir ? dir + '/' + path : path).split('/').forEach(part => {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  });
+  return parts.join('/');
+}
+
+// **NEW: Find the image for an atlas page: relative path, then case-insensitive, then ignoring extension**
+function resolveAtlasPageImage(pageName, atlasFile, images) {
+  const atlasDir = atlasFile ? getFileDirectory(atlasFile) : '';
+  const pagePath = joinPath(atlasDir, pageName.replace(/\\/g, '/'));
+  const pageFile = pagePath.split('/').pop();
+  const stripExtension = name => name.replace(/\.[^./]+$/, '');
+  // Candidates next to the atlas win over same-named files elsewhere in the drop
+  const byDistance = images.slice().sort((a, b) =>
+    (getFileDirectory(b) === atlasDir) - (getFileDirectory(a) === atlasDir));
+
+  return byDistance.find(img => getFilePath(img) === pagePath) ||
+    byDistance.find(img => getFilePath(img).toLowerCase() === pagePath.toLowerCase()) ||
+    byDistance.find(img => img.name.toLowerCase() === pageFile.toLowerCase()) ||
+    byDistance.find(img => stripExtension(img.name).toLowerCase() === stripExtension(pageFile).toLowerCase()) ||
+    null;
+}
+
+// **NEW: Combined view over several TextureAtlas files**
+// Exposes findRegion() for AtlasAttachmentLoader, remembers which atlas/page each region came from
+// and records name collisions instead of letting later atlases silently shadow earlier ones.
+function createCombinedAtlas(sources) {
+  const regionsByName = new Map();
+  const provenance = new Map();
+  const collisions = new Map();
+  const pages = [];
+
+  sources.forEach(({ file, atlas, text }) => {
+    const atlasPath = file ? getFilePath(file) : '';
+    const headers = text ? parseAtlasText(text).pages : [];
+    // TextureAtlas.load() pushes synchronously loaded pages twice
+    Array.from(new Set(atlas.pages)).forEach(page => {
+      const header = headers.find(h => h.name === page.name);
+      page.atlasFile = atlasPath;
+      page.settings = header ? header.settings : {};
+      pages.push(page);
+    });
+    atlas.regions.forEach(region => {
+      const origin = { atlas: atlasPath, page: region.page ? region.page.name : '' };
+      provenance.set(region, origin);
+      const winner = regionsByName.get(region.name);
+      if (!winner) {
+        regionsByName.set(region.name, region);
+        return;
+      }
+      if (!collisions.has(region.name)) {
+        collisions.set(region.name, { name: region.name, winner: provenance.get(winner), shadowed: [] });
+      }
+      collisions.get(region.name).shadowed.push(origin);
+    });
+  });
+
+  return {
+    sources,
+    pages,
+    regions: Array.from(regionsByName.values()),
+    collisions: Array.from(collisions.values()),
+    findRegion: name => regionsByName.get(name) || null,
+    getProvenance: region => provenance.get(region) || null,
+    dispose() {
+      pages.forEach(page => {
+        if (page.baseTexture && !page.baseTexture._destroyed) page.baseTexture.destroy();
+      });
+    }
+  };
+}
+
+function formatAtlasCollision(collision) {
+  const shadowed = collision.shadowed.map(origin => `${origin.atlas} (${origin.page})`).join(', ');
+  return `Region "${collision.name}": using ${collision.winner.atlas} (${collision.winner.page}), shadows ${shadowed}`;
+}
+
+function showAtlasCollisions(collisions) {
+  if (collisions.length === 0) {
+    atlasCollisions.textContent = '';
+    atlasCollisions.className = '';
+    atlasCollisions.onclick = null;
+    return;
+  }
+  atlasCollisions.textContent = `⚠️ ${collisions.length} region name collisions`;
+  atlasCollisions.className = 'warning';
+  atlasCollisions.onclick = () => showDetailsModal(
+    `Atlas Region Collisions (${collisions.length})`,
+    collisions.map(formatAtlasCollision).join('\n')
+  );
+}
+
+// **NEW: Premultiplied alpha per atlas page**
+// PIXI v4 ties the upload premultiply and the blend mode to one flag, which is only right for
+// straight-alpha images. A premultiplied page is therefore un-premultiplied into a canvas and
+// rendered from that; the original image stays on the base texture for switching back.
+const pmaOverrides = new Map(); // "atlas|page" -> value chosen with the page toggle
+
+function getPmaKey(page) {
+  return `${page.atlasFile}|${page.name}`;
+}
+
+async function setupPremultipliedAlpha(pages) {
+  for (const page of pages) {
+    page.pmaDetected = await inferPagePremultipliedAlpha(page);
+    const key = getPmaKey(page);
+    const pma = pmaOverrides.has(key) ? pmaOverrides.get(key) : page.pmaDetected.pma;
+    showTerminal(`🎨 ${page.name}: premultiplied alpha ${pma ? 'on' : 'off'} (${pmaOverrides.has(key) ? 'manual' : page.pmaDetected.source})`);
+    await applyPagePremultipliedAlpha(page, pma);
+  }
+  renderPmaControls(pages);
+}
+
+async function inferPagePremultipliedAlpha(page) {
+  // Spine 4.x atlases state it in the page header
+  if (page.settings && page.settings.pma !== undefined) {
+    return { pma: page.settings.pma === 'true', source: 'atlas header' };
+  }
+  const imageFile = page.baseTexture ? page.baseTexture.imageFile : null;
+  if (!imageFile) {
+    return { pma: false, source: 'no image' };
+  }
+  try {
+    const verdict = await scanPremultipliedAlpha(imageFile);
+    if (verdict !== null) {
+      return { pma: verdict, source: 'pixel scan' };
+    }
+  } catch (e) {
+    showTerminal(`Warning: Could not scan ${getFilePath(imageFile)} for premultiplied alpha: ${e.message}`);
+  }
+  if (/pma/i.test(imageFile.name)) {
+    return { pma: true, source: 'file name' };
+  }
+  return { pma: false, source: 'default' };
+}
+
+// A translucent pixel whose colour exceeds its alpha cannot be premultiplied.
+// Returns null when the image has no translucent pixels to judge by.
+async function scanPremultipliedAlpha(imageFile) {
+  const bitmap = await createImageBitmap(imageFile);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  const data = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+  const stride = Math.max(1, Math.floor(canvas.width * canvas.height / 250000)) * 4;
+  const tolerance = 2; // canvas round-trips colour through premultiplied storage
+  let translucent = 0;
+  for (let i = 0; i < data.length; i += stride) {
+    const a = data[i + 3];
+    if (a === 0 || a === 255) continue;
+    translucent++;
+    if (data[i] > a + tolerance || data[i + 1] > a + tolerance || data[i + 2] > a + tolerance) {
+      return false;
+    }
+  }
+  return translucent > 0 ? true : null;
+}
+
+async function applyPagePremultipliedAlpha(page, pma) {
+  const baseTexture = page.baseTexture;
+  page.pma = pma;
+  if (!baseTexture || !baseTexture.imageFile || baseTexture._destroyed) return;
+
+  if (!baseTexture.hasLoaded) {
+    await new Promise(resolve => {
+      baseTexture.once('loaded', resolve);
+      baseTexture.once('error', resolve);
+    });
+  }
+  // A reload may have replaced the atlas while this page was still loading
+  if (baseTexture._destroyed || !baseTexture.hasLoaded) return;
+  if (!baseTexture.originalSource) {
+    baseTexture.originalSource = baseTexture.source;
+  }
+  // Re-uploads the texture, so the change shows on the next frame
+  baseTexture.loadSource(pma ? unpremultiplyImage(baseTexture.originalSource) : baseTexture.originalSource);
+}
+
+function unpremultiplyImage(image) {
+  const canvas = document.createElement('canvas');
+  canvas.width = image.naturalWidth || image.width;
+  canvas.height = image.naturalHeight || image.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const data = imageData.data;
+  for (let i = 0; i < data.length; i += 4) {
+    const a = data[i + 3];
+    if (a === 0 || a === 255) continue;
+    data[i] = Math.min(255, Math.round(data[i] * 255 / a));
+    data[i + 1] = Math.min(255, Math.round(data[i + 1] * 255 / a));
+    data[i + 2] = Math.min(255, Math.round(data[i + 2] * 255 / a));
+  }
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+function renderPmaControls(pages) {
+  pmaControls.innerHTML = '';
+  const imagePages = pages.filter(page => page.baseTexture && page.baseTexture.imageFile);
+  if (imagePages.length === 0) {
+    pmaControls.style.display = 'none';
+    return;
+  }
+  pmaControls.style.display = 'flex';
+
+  const title = document.createElement('span');
+  title.textContent = 'Premultiplied alpha:';
+  pmaControls.appendChild(title);
+
+  imagePages.forEach(page => {
+    const label = document.createElement('label');
+    label.className = 'pma-page';
+    label.title = `${page.atlasFile}: detected ${page.pmaDetected.pma ? 'PMA' : 'straight alpha'} (${page.pmaDetected.source})`;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = page.pma;
+    checkbox.onchange = async () => {
+      const key = getPmaKey(page);
+      if (checkbox.checked === page.pmaDetected.pma) {
+        pmaOverrides.delete(key);
+      } else {
+        pmaOverrides.set(key, checkbox.checked);
+      }
+      await applyPagePremultipliedAlpha(page, checkbox.checked);
+      label.classList.toggle('overridden', pmaOverrides.has(key));
+      showTerminal(`🎨 ${page.name}: premultiplied alpha ${checkbox.checked ? 'on' : 'off'}`);
+      scheduleSessionUpdate();
+    };
+
+    label.classList.toggle('overridden', pmaOverrides.has(getPmaKey(page)));
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(page.name));
+    pmaControls.appendChild(label);
+  });
+}
+
+// **NEW: Texture loader shared by validation and loading**
+// Unmatched pages are recorded in pageReport.unresolved and get an empty placeholder texture,
+// so the atlas still parses and its regions stay available for attachment lookup.
+function createAtlasTextureLoader(atlasFile, images, imageUrls, pageReport) {
+  return (line, callback) => {
+    const pageName = line.trim();
+    const imageFile = resolveAtlasPageImage(pageName, atlasFile, images);
+    if (!imageFile) {
+      pageReport.unresolved.push({
+        atlas: atlasFile ? getFilePath(atlasFile) : '',
+        page: pageName,
+        candidates: images.map(getFilePath)
+      });
+      callback(new PIXI.BaseTexture());
+      return;
+    }
+    if (imageFile.name !== pageName) {
+      showTerminal(`Atlas page ${pageName} resolved to ${getFilePath(imageFile)}`);
+    }
+    // The atlas names one format but only another was supplied (e.g. hero.png vs hero.webp)
+    const pageExt = pageName.split('.').pop().toLowerCase();
+    const imageExt = getFileExtension(imageFile);
+    if (pageExt !== imageExt && !(isJpegExtension(pageExt) && isJpegExtension(imageExt))) {
+      pageReport.formatMismatches.push({
+        atlas: atlasFile ? getFilePath(atlasFile) : '',
+        page: pageName,
+        provided: getFilePath(imageFile)
+      });
+    }
+    if (!imageUrls.has(imageFile)) {
+      imageUrls.set(imageFile, URL.createObjectURL(imageFile));
+    }
+    try {
+      const baseTexture = PIXI.BaseTexture.from(imageUrls.get(imageFile));
+      // Kept for premultiplied alpha detection, which scans the file's pixels
+      baseTexture.imageFile = imageFile;
+      callback(baseTexture);
+    } catch (e) {
+      showTerminal(`Warning: Failed to load texture ${pageName}: ${e.message}`);
+      callback(new PIXI.BaseTexture());
+    }
+  };
+}
+
+function isJpegExtension(ext) {
+  return ext === 'jpg' || ext === 'jpeg';
+}
+
+function formatUnresolvedPage(page) {
+  const candidates = page.candidates.length > 0 ? page.candidates.join(', ') : 'none';
+  return `${page.atlas}: page "${page.page}" not found (provided: ${candidates})`;
+}
+
+function formatMismatchedPage(page) {
+  return `${page.atlas}: page "${page.page}" uses ${page.provided} (format not supplied)`;
+}
+
+// Human-readable lines for every page problem, for the terminal and the warning box
+function describePageReport(pageReport) {
+  return pageReport.unresolved.map(formatUnresolvedPage)
+    .concat(pageReport.formatMismatches.map(formatMismatchedPage));
+}
+
+// **NEW: Split a mixed file list into skeleton sets (skeleton + its atlases + images)**
+// Exports and folders also carry package.json, playlists, mix files and the like
+async function isSkeletonJsonFile(file) {
+  try {
+    const data = JSON.parse(await readFileAsText(file));
+    return !!data && typeof data === 'object' && ('skeleton' in data || 'bones' in data);
+  } catch (error) {
+    // Keep broken JSON so validation can report why it does not load
+    return true;
+  }
+}
+
+async function groupSkeletonSets(fileList) {
+  const skeletons = [];
+  const atlases = [];
+  const images = [];
+  for (const f of fileList) {
+    const ext = getFileExtension(f);
+    if (ext === "skel" || (ext === "json" && await isSkeletonJsonFile(f))) skeletons.push(f);
+    else if (ext === "atlas") atlases.push(f);
+    else if (IMAGE_EXTENSIONS.includes(ext)) images.push(f);
+  }
+
+  // A single skeleton keeps the old behaviour: every atlas and image belongs to it
+  if (skeletons.length <= 1) {
+    return [{ name: skeletons[0] ? getFilePath(skeletons[0]) : '', skeleton: skeletons[0] || null, atlases, images }];
+  }
+
+  const atlasPages = new Map(await Promise.all(atlases.map(async atlas => {
+    const { pages } = parseAtlasText(await readFileAsText(atlas));
+    return [atlas, pages.map(page => page.name)];
+  })));
+
+  return skeletons.map(skeleton => {
+    const dir = getFileDirectory(skeleton);
+    const base = getFileBaseName(skeleton);
+
+    // Prefer a same-named atlas next to the skeleton, then any atlas in that folder, then any same-named atlas
+    let setAtlases = atlases.filter(a => getFileDirectory(a) === dir && getFileBaseName(a) === base);
+    if (setAtlases.length === 0) setAtlases = atlases.filter(a => getFileDirectory(a) === dir);
+    if (setAtlases.length === 0) setAtlases = atlases.filter(a => getFileBaseName(a) === base);
+
+    // Images are whatever the chosen atlases reference as pages, resolved relative to the atlas
+    const setImages = [];
+    setAtlases.forEach(atlas => {
+      atlasPages.get(atlas).forEach(pageName => {
+        const match = resolveAtlasPageImage(pageName, atlas, images);
+        if (match && !setImages.includes(match)) setImages.push(match);
+      });
+    });
+
+    return { name: getFilePath(skeleton), skeleton, atlases: setAtlases, images: setImages };
+  });
+}
+
+// **NEW: Quick validation of a skeleton set for the picker (no textures, no UI side effects)**
+async function checkSkeletonSet(set) {
+  const status = { ok: false, message: '' };
+  if (set.atlases.length === 0) {
+    status.message = 'no atlas found';
+    return status;
+  }
+
+  try {
+    let spineData;
+    if (isBinarySkeletonFile(set.skeleton)) {
+      const decoded = readSkeletonBinary(await readFileAsArrayBuffer(set.skeleton), createPlaceholderAttachmentLoader(), 1, true);
+      spineData = skeletonDataToSpineJson(decoded);
+    } else {
+      spineData = convertSpineJson(JSON.parse(await readFileAsText(set.skeleton))).data;
+    }
+
+    const regions = new Set();
+    let missingPages = 0;
+    for (const atlas of set.atlases) {
+      const { pages } = parseAtlasText(await readFileAsText(atlas));
+      pages.forEach(page => {
+        page.regions.forEach(region => regions.add(region.toLowerCase()));
+        if (!resolveAtlasPageImage(page.name, atlas, set.images)) missingPages++;
+      });
+    }
+
+    const report = extractSpineAttachmentRequirements(spineData);
+    const missing = report.atlasRequirements.filter(att => !regions.has(att.toLowerCase())).length;
+
+    const problems = [];
+    if (missing > 0) problems.push(`${missing} missing attachments`);
+    if (missingPages > 0) problems.push(`${missingPages} missing pages`);
+    status.ok = problems.length === 0;
+    status.message = status.ok ? `${report.atlasRequirements.length} attachments OK` : problems.join(', ');
+  } catch (error) {
+    status.message = 'invalid: ' + error.message;
+  }
+  return status;
+}
+
+// **NEW: Modal listing every skeleton set found; resolves with the chosen set or null**
+function showSkeletonPicker(sets) {
+  return new Promise(resolve => {
+    const modal = document.createElement('div');
+    modal.style.cssText = `
+      position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+      background: rgba(0,0,0,0.8); z-index: 1000; display: flex;
+      align-items: center; justify-content: center;
+    `;
+
+    const content = document.createElement('div');
+    content.className = 'skeleton-picker';
+    content.innerHTML = `<h3>Choose a skeleton (${sets.length} found)</h3>`;
+
+    const close = result => {
+      modal.remove();
+      resolve(result);
+    };
+
+    sets.forEach(set => {
+      const button = document.createElement('button');
+      button.className = 'skeleton-picker-entry';
+      button.textContent = `${set.name} — ${set.atlases.length} atlas, ${set.images.length} images`;
+      if (set.status) {
+        const status = document.createElement('span');
+        status.className = 'skeleton-picker-status';
+        status.textContent = `${set.status.ok ? '✅' : '⚠️'} ${set.status.message}`;
+        button.appendChild(status);
+      }
+      if (set.status ? !set.status.ok : (set.atlases.length === 0 || set.images.length === 0)) {
+        button.classList.add('warning');
+      }
+      button.onclick = () => close(set);
+      content.appendChild(button);
+    });
+
+    const cancel = document.createElement('button');
+    cancel.className = 'skeleton-picker-cancel';
+    cancel.textContent = 'Cancel';
+    cancel.onclick = () => close(null);
+    content.appendChild(cancel);
+
+    modal.appendChild(content);
+    document.body.appendChild(modal);
+  });
+}
+
+// **NEW: Minimal zip reader (stored + deflate) using the browser's DecompressionStream**
+async function readZipArchive(file) {
+  const buffer = await readFileAsArrayBuffer(file);
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder('utf-8');
+
+  // End of central directory record sits in the last 22 bytes + up to 64KB of comment
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error(`${file.name} is not a valid zip archive`);
+  }
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  if (entryCount === 0xFFFF || offset === 0xFFFFFFFF) {
+    throw new Error(`${file.name} is a ZIP64 archive, which is not supported`);
+  }
+
+  const entries = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error(`${file.name}: corrupt central directory`);
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const path = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const name = path.split('/').pop();
+    // Skip folders and macOS resource forks
+    if (!name || path.startsWith('__MACOSX/') || name.startsWith('._')) continue;
+    if (flags & 0x1) {
+      showTerminal(`⚠️ Skipping ${path}: encrypted entries are not supported`);
+      continue;
+    }
+
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const raw = new Blob([new Uint8Array(buffer, dataStart, compressedSize)]);
+    let blob;
+    if (method === 0) {
+      blob = raw;
+    } else if (method === 8) {
+      blob = await new Response(raw.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+    } else {
+      showTerminal(`⚠️ Skipping ${path}: unsupported compression method ${method}`);
+      continue;
+    }
+
+    const entry = new File([blob], name);
+    entry.relativePath = path;
+    entries.push(entry);
+  }
+  return entries;
 }
 
 function showWarn(msg) {
@@ -106,14 +850,27 @@ async function validateSpineAssets() {
   revalidateButton.style.display = 'none';
 
   try {
-    // Step 1: Load and parse JSON
-    const jsonContent = await readFileAsText(files.json);
+    // Step 1: Load and parse JSON (or decode binary skeleton into the same shape)
     let spineData;
-    try {
-      spineData = JSON.parse(jsonContent);
-      showTerminal('JSON parsed successfully');
-    } catch (e) {
-      throw new Error('Invalid JSON file: ' + e.message);
+    if (isBinarySkeletonFile(files.skeleton)) {
+      const skelBuffer = await readFileAsArrayBuffer(files.skeleton);
+      try {
+        const decoded = readSkeletonBinary(skelBuffer, createPlaceholderAttachmentLoader());
+        spineData = skeletonDataToSpineJson(decoded);
+        showTerminal(`Binary skeleton decoded successfully (Spine ${decoded.version})`);
+        showSpineVersionReport(null);
+      } catch (e) {
+        throw new Error('Invalid skeleton binary: ' + e.message);
+      }
+    } else {
+      const jsonContent = await readFileAsText(files.skeleton);
+      try {
+        spineData = JSON.parse(jsonContent);
+        showTerminal('JSON parsed successfully');
+      } catch (e) {
+        throw new Error('Invalid JSON file: ' + e.message);
+      }
+      spineData = prepareSpineJson(spineData);
     }
 
     // **FIX: Normalize Spine data structure**
@@ -128,39 +885,18 @@ async function validateSpineAssets() {
       )
     );
 
-    // Step 3: Create texture map
-    const imageMap = {};
-    files.images.forEach(imgFile => {
-      imageMap[imgFile.name] = URL.createObjectURL(imgFile);
-    });
+    // Step 3: Resolve atlas pages against the provided images
+    const imageUrls = new Map();
+    const pageReport = { unresolved: [], formatMismatches: [] };
 
     // Step 4: Parse atlas and collect all regions
     const allRegions = new Set();
-    const textureLoader = (line, callback) => {
-      const url = imageMap[line.trim()];
-      if (!url) {
-        callback(null);
-        return;
-      }
-      try {
-        const baseTexture = PIXI.BaseTexture.from(url);
-        callback(baseTexture);
-      } catch (e) {
-        showTerminal(`Warning: Failed to load texture ${line}: ${e.message}`);
-        callback(null);
-      }
-    };
-
-    for (let { content: atlasContent } of atlasContents) {
+    const parsedAtlases = [];
+    for (let { content: atlasContent, index } of atlasContents) {
       try {
+        const textureLoader = createAtlasTextureLoader(files.atlases[index], files.images, imageUrls, pageReport);
         const atlas = new PIXI.spine.core.TextureAtlas(atlasContent, textureLoader);
-        if (atlas.regions) {
-          atlas.regions.forEach(region => {
-            if (region && region.name) {
-              allRegions.add(region.name.toLowerCase());
-            }
-          });
-        }
+        parsedAtlases.push({ file: files.atlases[index], atlas });
         showTerminal(`Atlas loaded with ${atlas.regions ? atlas.regions.length : 0} regions`);
       } catch (atlasError) {
         showTerminal(`Warning: Could not parse atlas - ${atlasError.message}`);
@@ -168,7 +904,17 @@ async function validateSpineAssets() {
       }
     }
 
+    // Region lookup goes through the combined atlas so shadowed duplicates don't count as present twice
+    const combined = createCombinedAtlas(parsedAtlases);
+    combined.regions.forEach(region => {
+      if (region && region.name) {
+        allRegions.add(region.name.toLowerCase());
+      }
+    });
+
     showTerminal(`Total texture regions found: ${allRegions.size}`);
+    describePageReport(pageReport).forEach(line => showTerminal(`⚠️ ${line}`));
+    combined.collisions.forEach(collision => showTerminal(`⚠️ ${formatAtlasCollision(collision)}`));
 
     // Step 5: Validate attachments against atlas regions
     const validation = {
@@ -177,7 +923,9 @@ async function validateSpineAssets() {
       missingAttachments: [],
       skins: {},
       animations: new Set(),
-      warnings: []
+      warnings: [],
+      pageReport,
+      atlasCollisions: combined.collisions
     };
 
     // **FIX: Collect animations safely**
@@ -634,566 +1382,4443 @@ function validateSpineAttachments(spineData, atlasRegions = []) {
   };
 }
 
-function displayValidationResults(validation) {
-  validationStatus.textContent = '';
+// **NEW: Spine 3.7 binary (.skel) support**
+// Mirrors SkeletonJson but reads the big-endian binary export into the same SkeletonData.
+const BINARY_ATTACHMENT_TYPES = ['region', 'boundingbox', 'mesh', 'linkedmesh', 'path', 'point', 'clipping'];
+const BINARY_BLEND_MODES = [PIXI.BLEND_MODES.NORMAL, PIXI.BLEND_MODES.ADD, PIXI.BLEND_MODES.MULTIPLY, PIXI.BLEND_MODES.SCREEN];
 
-  // Update missing attachments display
-  if (validation.missingAttachments.length > 0) {
-    missingAttachments.innerHTML = `⚠️ ${validation.missingAttachments.length} missing attachments`;
-    missingAttachments.className = 'warning';
-    missingAttachments.onclick = () => showMissingDetails(validation.missingAttachments);
-    validationStatus.className = 'warning';
-  } else {
-    missingAttachments.innerHTML = '✅ All attachments found';
-    missingAttachments.className = 'success';
-    missingAttachments.onclick = null;
-    validationStatus.className = 'success';
-  }
+function isBinarySkeletonFile(file) {
+  return !!file && file.name.split('.').pop().toLowerCase() === 'skel';
+}
 
-  // Update animation stats
-  const skinCount = Object.keys(validation.skins).length;
-  animationStats.innerHTML = `Animations: ${validation.animations.size} | Skins: ${skinCount}`;
+function createBinaryInput(buffer) {
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder('utf-8');
+  let index = 0;
+
+  const input = {
+    readByte() {
+      return view.getInt8(index++);
+    },
+    readUnsignedByte() {
+      return view.getUint8(index++);
+    },
+    readShort() {
+      const value = view.getInt16(index);
+      index += 2;
+      return value;
+    },
+    readInt32() {
+      const value = view.getInt32(index);
+      index += 4;
+      return value;
+    },
+    // Variable-length int, 7 bits per byte; zig-zag encoded unless optimizePositive
+    readInt(optimizePositive) {
+      let b = input.readUnsignedByte();
+      let result = b & 0x7F;
+      for (let shift = 7; (b & 0x80) !== 0 && shift <= 28; shift += 7) {
+        b = input.readUnsignedByte();
+        result |= (b & 0x7F) << shift;
+      }
+      return optimizePositive ? result : ((result >>> 1) ^ -(result & 1));
+    },
+    readString() {
+      let byteCount = input.readInt(true);
+      if (byteCount === 0) return null;
+      if (byteCount === 1) return '';
+      byteCount--;
+      const text = decoder.decode(new Uint8Array(buffer, index, byteCount));
+      index += byteCount;
+      return text;
+    },
+    readFloat() {
+      const value = view.getFloat32(index);
+      index += 4;
+      return value;
+    },
+    readBoolean() {
+      return input.readByte() !== 0;
+    }
+  };
+  return input;
+}
 
-  // Update load button
-  if (validation.missingAttachments.length === 0) {
-    loadButton.textContent = 'Load Animation';
-    loadButton.className = 'success';
-  } else {
-    loadButton.textContent = `Load (${validation.missingAttachments.length} warnings)`;
-    loadButton.className = 'warning';
-  }
+function setColorFromRgba8888(color, value) {
+  color.r = ((value & 0xff000000) >>> 24) / 255;
+  color.g = ((value & 0x00ff0000) >>> 16) / 255;
+  color.b = ((value & 0x0000ff00) >>> 8) / 255;
+  color.a = (value & 0x000000ff) / 255;
+  return color;
+}
 
-  revalidateButton.style.display = 'inline-block';
-  showTerminal(`Validation complete: ${validation.type} format, ${validation.totalAttachments} attachments checked, ${validation.missingAttachments.length} missing`);
+// The bundled runtime has no point or clipping attachment classes. These stand-ins keep them in
+// the skin so attachment keys resolve and the debug overlays can draw them; the renderer hides
+// slots whose attachment it does not know.
+function createPointAttachment(name, x, y, rotation) {
+  const point = new PIXI.spine.core.Attachment(name);
+  point.debugType = 'point';
+  point.x = x;
+  point.y = y;
+  point.rotation = rotation;
+  return point;
 }
 
-function showMissingDetails(missing) {
-  const details = missing.map(m =>
-    `${m.skin}.${m.slot}: ${m.attachment}`
-  ).join('\n');
+function createClippingAttachment(name, endSlotName) {
+  const clipping = new PIXI.spine.core.VertexAttachment(name);
+  clipping.debugType = 'clipping';
+  clipping.endSlotName = endSlotName;
+  return clipping;
+}
 
-  const modal = document.createElement('div');
-  modal.style.cssText = `
-    position: fixed; top: 0; left: 0; width: 100%; height: 100%;
-    background: rgba(0,0,0,0.8); z-index: 1000; display: flex;
-    align-items: center; justify-content: center;
-  `;
+// quiet keeps the reader's notes out of the terminal, for checks that must not touch the UI
+function readSkeletonBinary(buffer, attachmentLoader, scale = 1, quiet = false) {
+  const core = PIXI.spine.core;
+  const report = quiet ? () => {} : showTerminal;
+  const input = createBinaryInput(buffer);
+  const skeletonData = new core.SkeletonData();
+  const linkedMeshes = [];
+  const skipped = { attachments: {}, timelines: 0 };
+
+  skeletonData.hash = input.readString();
+  skeletonData.version = input.readString();
+  if (!skeletonData.version || !skeletonData.version.startsWith('3.7')) {
+    throw new Error(`Unsupported binary version "${skeletonData.version}", only Spine 3.7 exports can be read`);
+  }
+  skeletonData.width = input.readFloat();
+  skeletonData.height = input.readFloat();
+
+  const nonessential = input.readBoolean();
+  if (nonessential) {
+    skeletonData.fps = input.readFloat();
+    skeletonData.imagesPath = input.readString();
+    skeletonData.audioPath = input.readString();
+  }
 
-  const content = document.createElement('div');
-  content.style.cssText = `
-    background: #333; color: #ff6666; padding: 20px; border-radius: 8px;
-    max-width: 500px; max-height: 400px; overflow: auto;
-    font-family: monospace; font-size: 12px;
-  `;
+  // Bones
+  for (let i = 0, n = input.readInt(true); i < n; i++) {
+    const name = input.readString();
+    const parent = i === 0 ? null : skeletonData.bones[input.readInt(true)];
+    const data = new core.BoneData(i, name, parent);
+    data.rotation = input.readFloat();
+    data.x = input.readFloat() * scale;
+    data.y = input.readFloat() * scale;
+    data.scaleX = input.readFloat();
+    data.scaleY = input.readFloat();
+    data.shearX = input.readFloat();
+    data.shearY = input.readFloat();
+    data.length = input.readFloat() * scale;
+    data.transformMode = input.readInt(true);
+    if (nonessential) input.readInt32(); // bone color
+    skeletonData.bones.push(data);
+  }
 
-  content.innerHTML = `
-    <h3>Missing Attachments (${missing.length})</h3>
-    <pre>${details}</pre>
-    <button onclick="this.parentElement.parentElement.remove()" 
-            style="margin-top: 10px; padding: 5px 10px; background: #555; color: white; border: none; border-radius: 3px; cursor: pointer;">
+  // Slots
+  for (let i = 0, n = input.readInt(true); i < n; i++) {
+    const slotName = input.readString();
+    const boneData = skeletonData.bones[input.readInt(true)];
+    const data = new core.SlotData(i, slotName, boneData);
+    setColorFromRgba8888(data.color, input.readInt32());
+    input.readInt32(); // dark color, not supported by the bundled runtime
+    data.attachmentName = input.readString();
+    data.blendMode = BINARY_BLEND_MODES[input.readInt(true)];
+    skeletonData.slots.push(data);
+  }
+
+  // IK constraints
+  for (let i = 0, n = input.readInt(true); i < n; i++) {
+    const data = new core.IkConstraintData(input.readString());
+    data.order = input.readInt(true);
+    for (let ii = 0, nn = input.readInt(true); ii < nn; ii++) {
+      data.bones.push(skeletonData.bones[input.readInt(true)]);
+    }
+    data.target = skeletonData.bones[input.readInt(true)];
+    data.mix = input.readFloat();
+    data.bendDirection = input.readByte();
+    data.compress = input.readBoolean();
+    data.stretch = input.readBoolean();
+    data.uniform = input.readBoolean();
+    skeletonData.ikConstraints.push(data);
+  }
+
+  // Transform constraints
+  for (let i = 0, n = input.readInt(true); i < n; i++) {
+    const data = new core.TransformConstraintData(input.readString());
+    data.order = input.readInt(true);
+    for (let ii = 0, nn = input.readInt(true); ii < nn; ii++) {
+      data.bones.push(skeletonData.bones[input.readInt(true)]);
+    }
+    data.target = skeletonData.bones[input.readInt(true)];
+    data.local = input.readBoolean();
+    data.relative = input.readBoolean();
+    data.offsetRotation = input.readFloat();
+    data.offsetX = input.readFloat() * scale;
+    data.offsetY = input.readFloat() * scale;
+    data.offsetScaleX = input.readFloat();
+    data.offsetScaleY = input.readFloat();
+    data.offsetShearY = input.readFloat();
+    data.rotateMix = input.readFloat();
+    data.translateMix = input.readFloat();
+    data.scaleMix = input.readFloat();
+    data.shearMix = input.readFloat();
+    skeletonData.transformConstraints.push(data);
+  }
+
+  // Path constraints
+  for (let i = 0, n = input.readInt(true); i < n; i++) {
+    const data = new core.PathConstraintData(input.readString());
+    data.order = input.readInt(true);
+    for (let ii = 0, nn = input.readInt(true); ii < nn; ii++) {
+      data.bones.push(skeletonData.bones[input.readInt(true)]);
+    }
+    data.target = skeletonData.slots[input.readInt(true)];
+    data.positionMode = input.readInt(true);
+    data.spacingMode = input.readInt(true);
+    data.rotateMode = input.readInt(true);
+    data.offsetRotation = input.readFloat();
+    data.position = input.readFloat();
+    if (data.positionMode === core.PositionMode.Fixed) data.position *= scale;
+    data.spacing = input.readFloat();
+    if (data.spacingMode === core.SpacingMode.Length || data.spacingMode === core.SpacingMode.Fixed) data.spacing *= scale;
+    data.rotateMix = input.readFloat();
+    data.translateMix = input.readFloat();
+    skeletonData.pathConstraints.push(data);
+  }
+
+  // Default skin, then named skins
+  const defaultSkin = readBinarySkin('default');
+  if (defaultSkin) {
+    skeletonData.defaultSkin = defaultSkin;
+    skeletonData.skins.push(defaultSkin);
+  }
+  for (let i = 0, n = input.readInt(true); i < n; i++) {
+    const skinName = input.readString();
+    skeletonData.skins.push(readBinarySkin(skinName) || new core.Skin(skinName));
+  }
+
+  // Linked meshes; a parent skipped for a missing region takes its children with it
+  linkedMeshes.forEach(linkedMesh => {
+    const skin = linkedMesh.skin == null ? skeletonData.defaultSkin : skeletonData.findSkin(linkedMesh.skin);
+    if (skin == null) throw new Error('Skin not found: ' + linkedMesh.skin);
+    const parent = skin.getAttachment(linkedMesh.slotIndex, linkedMesh.parent);
+    if (parent == null) {
+      report(`⚠️ Skipping linked mesh ${linkedMesh.name}: parent mesh ${linkedMesh.parent} not loaded`);
+      delete linkedMesh.owner.attachments[linkedMesh.slotIndex][linkedMesh.name];
+      return;
+    }
+    linkedMesh.mesh.setParentMesh(parent);
+  });
+
+  // Events
+  for (let i = 0, n = input.readInt(true); i < n; i++) {
+    const data = new core.EventData(input.readString());
+    data.intValue = input.readInt(false);
+    data.floatValue = input.readFloat();
+    data.stringValue = input.readString();
+    data.audioPath = input.readString();
+    if (data.audioPath != null) {
+      data.volume = input.readFloat();
+      data.balance = input.readFloat();
+    }
+    skeletonData.events.push(data);
+  }
+
+  // Animations
+  for (let i = 0, n = input.readInt(true); i < n; i++) {
+    readBinaryAnimation(input.readString());
+  }
+
+  const skippedTypes = Object.entries(skipped.attachments);
+  if (skippedTypes.length > 0) {
+    report(`⚠️ Binary skeleton: skipped unsupported attachments (${skippedTypes.map(([type, count]) => `${count} ${type}`).join(', ')})`);
+  }
+  if (skipped.timelines > 0) {
+    report(`⚠️ Binary skeleton: skipped ${skipped.timelines} timelines the bundled runtime cannot play`);
+  }
+
+  return skeletonData;
+
+  function readBinarySkin(skinName) {
+    const slotCount = input.readInt(true);
+    if (slotCount === 0) return null;
+    const skin = new core.Skin(skinName);
+    for (let i = 0; i < slotCount; i++) {
+      const slotIndex = input.readInt(true);
+      for (let ii = 0, nn = input.readInt(true); ii < nn; ii++) {
+        const name = input.readString();
+        const attachment = readBinaryAttachment(skin, slotIndex, name);
+        if (attachment != null) skin.addAttachment(slotIndex, name, attachment);
+      }
+    }
+    return skin;
+  }
+
+  function readBinaryAttachment(skin, slotIndex, attachmentName) {
+    const name = input.readString() || attachmentName;
+    const type = BINARY_ATTACHMENT_TYPES[input.readByte()];
+
+    switch (type) {
+      case 'region': {
+        const path = input.readString() || name;
+        const rotation = input.readFloat();
+        const x = input.readFloat();
+        const y = input.readFloat();
+        const scaleX = input.readFloat();
+        const scaleY = input.readFloat();
+        const width = input.readFloat();
+        const height = input.readFloat();
+        const color = input.readInt32();
+
+        const region = attachmentLoader.newRegionAttachment(skin, name, path);
+        if (region == null) return null;
+        region.path = path;
+        region.x = x * scale;
+        region.y = y * scale;
+        region.scaleX = scaleX;
+        region.scaleY = scaleY;
+        region.rotation = rotation;
+        region.width = width * scale;
+        region.height = height * scale;
+        setColorFromRgba8888(region.color, color);
+        return region;
+      }
+      case 'boundingbox': {
+        const vertexCount = input.readInt(true);
+        const vertices = readBinaryVertices(vertexCount);
+        const color = nonessential ? input.readInt32() : 0;
+
+        const box = attachmentLoader.newBoundingBoxAttachment(skin, name);
+        if (box == null) return null;
+        box.worldVerticesLength = vertexCount << 1;
+        box.vertices = vertices.vertices;
+        box.bones = vertices.bones;
+        if (nonessential) setColorFromRgba8888(box.color, color);
+        return box;
+      }
+      case 'mesh': {
+        const path = input.readString() || name;
+        const color = input.readInt32();
+        const vertexCount = input.readInt(true);
+        const uvs = readBinaryFloatArray(vertexCount << 1, 1);
+        const triangles = readBinaryShortArray();
+        const vertices = readBinaryVertices(vertexCount);
+        const hullLength = input.readInt(true);
+        let edges = null;
+        let width = 0;
+        let height = 0;
+        if (nonessential) {
+          edges = readBinaryShortArray();
+          width = input.readFloat();
+          height = input.readFloat();
+        }
+
+        const mesh = attachmentLoader.newMeshAttachment(skin, name, path);
+        if (mesh == null) return null;
+        mesh.path = path;
+        setColorFromRgba8888(mesh.color, color);
+        mesh.bones = vertices.bones;
+        mesh.vertices = vertices.vertices;
+        mesh.worldVerticesLength = vertexCount << 1;
+        mesh.triangles = triangles;
+        mesh.regionUVs = uvs;
+        mesh.hullLength = hullLength << 1;
+        if (nonessential) {
+          mesh.edges = edges;
+          mesh.width = width * scale;
+          mesh.height = height * scale;
+        }
+        return mesh;
+      }
+      case 'linkedmesh': {
+        const path = input.readString() || name;
+        const color = input.readInt32();
+        const skinName = input.readString();
+        const parent = input.readString();
+        const inheritDeform = input.readBoolean();
+        let width = 0;
+        let height = 0;
+        if (nonessential) {
+          width = input.readFloat();
+          height = input.readFloat();
+        }
+
+        const mesh = attachmentLoader.newMeshAttachment(skin, name, path);
+        if (mesh == null) return null;
+        mesh.path = path;
+        setColorFromRgba8888(mesh.color, color);
+        mesh.inheritDeform = inheritDeform;
+        if (nonessential) {
+          mesh.width = width * scale;
+          mesh.height = height * scale;
+        }
+        linkedMeshes.push({ mesh, owner: skin, name: attachmentName, skin: skinName, slotIndex, parent });
+        return mesh;
+      }
+      case 'path': {
+        const closed = input.readBoolean();
+        const constantSpeed = input.readBoolean();
+        const vertexCount = input.readInt(true);
+        const vertices = readBinaryVertices(vertexCount);
+        const lengths = core.Utils.newArray(vertexCount / 3, 0);
+        for (let i = 0; i < lengths.length; i++) {
+          lengths[i] = input.readFloat() * scale;
+        }
+        const color = nonessential ? input.readInt32() : 0;
+
+        const path = attachmentLoader.newPathAttachment(skin, name);
+        if (path == null) return null;
+        path.closed = closed;
+        path.constantSpeed = constantSpeed;
+        path.worldVerticesLength = vertexCount << 1;
+        path.vertices = vertices.vertices;
+        path.bones = vertices.bones;
+        path.lengths = lengths;
+        if (nonessential) setColorFromRgba8888(path.color, color);
+        return path;
+      }
+      case 'point': {
+        const rotation = input.readFloat();
+        const x = input.readFloat() * scale;
+        const y = input.readFloat() * scale;
+        if (nonessential) input.readInt32();
+        return createPointAttachment(name, x, y, rotation);
+      }
+      case 'clipping': {
+        const endSlot = skeletonData.slots[input.readInt(true)];
+        const vertexCount = input.readInt(true);
+        const vertices = readBinaryVertices(vertexCount);
+        if (nonessential) input.readInt32();
+        const clipping = createClippingAttachment(name, endSlot ? endSlot.name : null);
+        clipping.worldVerticesLength = vertexCount << 1;
+        clipping.vertices = vertices.vertices;
+        clipping.bones = vertices.bones;
+        return clipping;
+      }
+      default:
+        throw new Error(`Unknown attachment type for "${name}" in slot ${slotIndex}`);
+    }
+  }
+
+  function readBinaryVertices(vertexCount) {
+    const verticesLength = vertexCount << 1;
+    if (!input.readBoolean()) {
+      return { vertices: readBinaryFloatArray(verticesLength, scale), bones: null };
+    }
+    const weights = [];
+    const bones = [];
+    for (let i = 0; i < vertexCount; i++) {
+      const boneCount = input.readInt(true);
+      bones.push(boneCount);
+      for (let ii = 0; ii < boneCount; ii++) {
+        bones.push(input.readInt(true));
+        weights.push(input.readFloat() * scale);
+        weights.push(input.readFloat() * scale);
+        weights.push(input.readFloat());
+      }
+    }
+    return { vertices: core.Utils.toFloatArray(weights), bones };
+  }
+
+  function readBinaryFloatArray(n, arrayScale) {
+    const array = new Array(n);
+    for (let i = 0; i < n; i++) {
+      array[i] = input.readFloat() * arrayScale;
+    }
+    return array;
+  }
+
+  function readBinaryShortArray() {
+    const n = input.readInt(true);
+    const array = new Array(n);
+    for (let i = 0; i < n; i++) {
+      array[i] = input.readShort();
+    }
+    return array;
+  }
+
+  function readBinaryCurve(frameIndex, timeline) {
+    switch (input.readByte()) {
+      case 1: // stepped
+        timeline.setStepped(frameIndex);
+        break;
+      case 2: // bezier
+        timeline.setCurve(frameIndex, input.readFloat(), input.readFloat(), input.readFloat(), input.readFloat());
+        break;
+    }
+  }
+
+  function readBinaryAnimation(name) {
+    const timelines = [];
+    const tempColor = new core.Color();
+    let duration = 0;
+
+    // Slot timelines: 0 attachment, 1 color, 2 two color
+    for (let i = 0, n = input.readInt(true); i < n; i++) {
+      const slotIndex = input.readInt(true);
+      for (let ii = 0, nn = input.readInt(true); ii < nn; ii++) {
+        const timelineType = input.readByte();
+        const frameCount = input.readInt(true);
+        if (timelineType === 0) {
+          const timeline = new core.AttachmentTimeline(frameCount);
+          timeline.slotIndex = slotIndex;
+          for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+            timeline.setFrame(frameIndex, input.readFloat(), input.readString());
+          }
+          timelines.push(timeline);
+          duration = Math.max(duration, timeline.frames[frameCount - 1]);
+        } else {
+          // Two color timelines are played back as plain color timelines (dark color dropped)
+          const timeline = new core.ColorTimeline(frameCount);
+          timeline.slotIndex = slotIndex;
+          for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+            const time = input.readFloat();
+            setColorFromRgba8888(tempColor, input.readInt32());
+            if (timelineType === 2) input.readInt32();
+            timeline.setFrame(frameIndex, time, tempColor.r, tempColor.g, tempColor.b, tempColor.a);
+            if (frameIndex < frameCount - 1) readBinaryCurve(frameIndex, timeline);
+          }
+          timelines.push(timeline);
+          duration = Math.max(duration, timeline.frames[(frameCount - 1) * core.ColorTimeline.ENTRIES]);
+        }
+      }
+    }
+
+    // Bone timelines: 0 rotate, 1 translate, 2 scale, 3 shear
+    for (let i = 0, n = input.readInt(true); i < n; i++) {
+      const boneIndex = input.readInt(true);
+      for (let ii = 0, nn = input.readInt(true); ii < nn; ii++) {
+        const timelineType = input.readByte();
+        const frameCount = input.readInt(true);
+        if (timelineType === 0) {
+          const timeline = new core.RotateTimeline(frameCount);
+          timeline.boneIndex = boneIndex;
+          for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+            timeline.setFrame(frameIndex, input.readFloat(), input.readFloat());
+            if (frameIndex < frameCount - 1) readBinaryCurve(frameIndex, timeline);
+          }
+          timelines.push(timeline);
+          duration = Math.max(duration, timeline.frames[(frameCount - 1) * core.RotateTimeline.ENTRIES]);
+        } else {
+          let timeline;
+          let timelineScale = 1;
+          if (timelineType === 2) timeline = new core.ScaleTimeline(frameCount);
+          else if (timelineType === 3) timeline = new core.ShearTimeline(frameCount);
+          else {
+            timeline = new core.TranslateTimeline(frameCount);
+            timelineScale = scale;
+          }
+          timeline.boneIndex = boneIndex;
+          for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+            timeline.setFrame(frameIndex, input.readFloat(), input.readFloat() * timelineScale, input.readFloat() * timelineScale);
+            if (frameIndex < frameCount - 1) readBinaryCurve(frameIndex, timeline);
+          }
+          timelines.push(timeline);
+          duration = Math.max(duration, timeline.frames[(frameCount - 1) * core.TranslateTimeline.ENTRIES]);
+        }
+      }
+    }
+
+    // IK constraint timelines
+    for (let i = 0, n = input.readInt(true); i < n; i++) {
+      const index = input.readInt(true);
+      const frameCount = input.readInt(true);
+      const timeline = new core.IkConstraintTimeline(frameCount);
+      timeline.ikConstraintIndex = index;
+      for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+        const time = input.readFloat();
+        const mix = input.readFloat();
+        const bendDirection = input.readByte();
+        input.readBoolean(); // compress
+        input.readBoolean(); // stretch
+        timeline.setFrame(frameIndex, time, mix, bendDirection);
+        if (frameIndex < frameCount - 1) readBinaryCurve(frameIndex, timeline);
+      }
+      timelines.push(timeline);
+      duration = Math.max(duration, timeline.frames[(frameCount - 1) * core.IkConstraintTimeline.ENTRIES]);
+    }
+
+    // Transform constraint timelines
+    for (let i = 0, n = input.readInt(true); i < n; i++) {
+      const index = input.readInt(true);
+      const frameCount = input.readInt(true);
+      const timeline = new core.TransformConstraintTimeline(frameCount);
+      timeline.transformConstraintIndex = index;
+      for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+        timeline.setFrame(frameIndex, input.readFloat(), input.readFloat(), input.readFloat(), input.readFloat(), input.readFloat());
+        if (frameIndex < frameCount - 1) readBinaryCurve(frameIndex, timeline);
+      }
+      timelines.push(timeline);
+      duration = Math.max(duration, timeline.frames[(frameCount - 1) * core.TransformConstraintTimeline.ENTRIES]);
+    }
+
+    // Path constraint timelines: 0 position, 1 spacing, 2 mix
+    for (let i = 0, n = input.readInt(true); i < n; i++) {
+      const index = input.readInt(true);
+      const data = skeletonData.pathConstraints[index];
+      for (let ii = 0, nn = input.readInt(true); ii < nn; ii++) {
+        const timelineType = input.readByte();
+        const frameCount = input.readInt(true);
+        if (timelineType === 2) {
+          const timeline = new core.PathConstraintMixTimeline(frameCount);
+          timeline.pathConstraintIndex = index;
+          for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+            timeline.setFrame(frameIndex, input.readFloat(), input.readFloat(), input.readFloat());
+            if (frameIndex < frameCount - 1) readBinaryCurve(frameIndex, timeline);
+          }
+          timelines.push(timeline);
+          duration = Math.max(duration, timeline.frames[(frameCount - 1) * core.PathConstraintMixTimeline.ENTRIES]);
+        } else {
+          let timeline;
+          let timelineScale = 1;
+          if (timelineType === 1) {
+            timeline = new core.PathConstraintSpacingTimeline(frameCount);
+            if (data.spacingMode === core.SpacingMode.Length || data.spacingMode === core.SpacingMode.Fixed) timelineScale = scale;
+          } else {
+            timeline = new core.PathConstraintPositionTimeline(frameCount);
+            if (data.positionMode === core.PositionMode.Fixed) timelineScale = scale;
+          }
+          timeline.pathConstraintIndex = index;
+          for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+            timeline.setFrame(frameIndex, input.readFloat(), input.readFloat() * timelineScale);
+            if (frameIndex < frameCount - 1) readBinaryCurve(frameIndex, timeline);
+          }
+          timelines.push(timeline);
+          duration = Math.max(duration, timeline.frames[(frameCount - 1) * core.PathConstraintPositionTimeline.ENTRIES]);
+        }
+      }
+    }
+
+    // Deform timelines
+    for (let i = 0, n = input.readInt(true); i < n; i++) {
+      const skin = skeletonData.skins[input.readInt(true)];
+      for (let ii = 0, nn = input.readInt(true); ii < nn; ii++) {
+        const slotIndex = input.readInt(true);
+        for (let iii = 0, nnn = input.readInt(true); iii < nnn; iii++) {
+          const attachmentName = input.readString();
+          const attachment = skin ? skin.getAttachment(slotIndex, attachmentName) : null;
+          const weighted = !!attachment && attachment.bones != null;
+          const vertices = attachment ? attachment.vertices : [];
+          const deformLength = weighted ? vertices.length / 3 * 2 : vertices.length;
+          const frameCount = input.readInt(true);
+          const timeline = new core.DeformTimeline(frameCount);
+          timeline.slotIndex = slotIndex;
+          timeline.attachment = attachment;
+
+          for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+            const time = input.readFloat();
+            let deform;
+            let end = input.readInt(true);
+            if (end === 0) {
+              deform = weighted ? core.Utils.newFloatArray(deformLength) : vertices;
+            } else {
+              deform = core.Utils.newFloatArray(deformLength);
+              const start = input.readInt(true);
+              end += start;
+              for (let v = start; v < end; v++) {
+                deform[v] = input.readFloat() * scale;
+              }
+              if (!weighted) {
+                for (let v = 0; v < deform.length; v++) {
+                  deform[v] += vertices[v];
+                }
+              }
+            }
+            timeline.setFrame(frameIndex, time, deform);
+            if (frameIndex < frameCount - 1) readBinaryCurve(frameIndex, timeline);
+          }
+
+          // Attachments skipped for missing regions leave their deform keys behind
+          if (attachment) {
+            timelines.push(timeline);
+            duration = Math.max(duration, timeline.frames[frameCount - 1]);
+          } else {
+            skipped.timelines++;
+          }
+        }
+      }
+    }
+
+    // Draw order timeline
+    const drawOrderCount = input.readInt(true);
+    if (drawOrderCount > 0) {
+      const timeline = new core.DrawOrderTimeline(drawOrderCount);
+      const slotCount = skeletonData.slots.length;
+      for (let i = 0; i < drawOrderCount; i++) {
+        const time = input.readFloat();
+        const offsetCount = input.readInt(true);
+        const drawOrder = core.Utils.newArray(slotCount, -1);
+        const unchanged = core.Utils.newArray(slotCount - offsetCount, 0);
+        let originalIndex = 0;
+        let unchangedIndex = 0;
+        for (let ii = 0; ii < offsetCount; ii++) {
+          const slotIndex = input.readInt(true);
+          while (originalIndex !== slotIndex) unchanged[unchangedIndex++] = originalIndex++;
+          drawOrder[originalIndex + input.readInt(true)] = originalIndex++;
+        }
+        while (originalIndex < slotCount) unchanged[unchangedIndex++] = originalIndex++;
+        for (let ii = slotCount - 1; ii >= 0; ii--) {
+          if (drawOrder[ii] === -1) drawOrder[ii] = unchanged[--unchangedIndex];
+        }
+        timeline.setFrame(i, time, drawOrder);
+      }
+      timelines.push(timeline);
+      duration = Math.max(duration, timeline.frames[drawOrderCount - 1]);
+    }
+
+    // Event timeline
+    const eventCount = input.readInt(true);
+    if (eventCount > 0) {
+      const timeline = new core.EventTimeline(eventCount);
+      for (let i = 0; i < eventCount; i++) {
+        const time = input.readFloat();
+        const eventData = skeletonData.events[input.readInt(true)];
+        const event = new core.Event(time, eventData);
+        event.intValue = input.readInt(false);
+        event.floatValue = input.readFloat();
+        event.stringValue = input.readBoolean() ? input.readString() : eventData.stringValue;
+        if (eventData.audioPath != null) {
+          event.volume = input.readFloat();
+          event.balance = input.readFloat();
+        }
+        timeline.setFrame(i, event);
+      }
+      timelines.push(timeline);
+      duration = Math.max(duration, timeline.frames[eventCount - 1]);
+    }
+
+    if (isNaN(duration)) {
+      throw new Error(`Error while reading animation "${name}", duration is NaN`);
+    }
+    skeletonData.animations.push(new core.Animation(name, timelines, duration));
+  }
+}
+
+// **NEW: Attachment loader used to decode binaries without an atlas (validation pass)**
+function createPlaceholderAttachmentLoader() {
+  const core = PIXI.spine.core;
+  return {
+    newRegionAttachment: (skin, name) => new core.RegionAttachment(name),
+    newMeshAttachment: (skin, name) => new core.MeshAttachment(name),
+    newBoundingBoxAttachment: (skin, name) => new core.BoundingBoxAttachment(name),
+    newPathAttachment: (skin, name) => new core.PathAttachment(name)
+  };
+}
+
+// **NEW: Wrap an atlas loader so missing regions skip the attachment instead of aborting**
+function createTolerantAttachmentLoader(atlasLoader) {
+  function tolerant(create, kind) {
+    return (skin, name, path) => {
+      try {
+        return create.call(atlasLoader, skin, name, path);
+      } catch (err) {
+        if (err.message && err.message.includes("Region not found")) {
+          showTerminal(`⚠️ Skipping missing ${kind} attachment: ${name} (skin ${skin.name})`);
+          return null;
+        }
+        throw err;
+      }
+    };
+  }
+  return {
+    newRegionAttachment: tolerant(atlasLoader.newRegionAttachment, 'region'),
+    newMeshAttachment: tolerant(atlasLoader.newMeshAttachment, 'mesh'),
+    newBoundingBoxAttachment: (skin, name) => atlasLoader.newBoundingBoxAttachment(skin, name),
+    newPathAttachment: (skin, name) => atlasLoader.newPathAttachment(skin, name)
+  };
+}
+
+// **NEW: Rebuild the JSON shape the validators understand from decoded SkeletonData**
+function skeletonDataToSpineJson(data) {
+  const core = PIXI.spine.core;
+  const attachmentType = attachment => {
+    // Point and clipping stand-ins from readSkeletonBinary carry their type themselves
+    if (attachment.debugType) return attachment.debugType;
+    if (attachment instanceof core.MeshAttachment) return attachment.parentMesh ? 'linkedmesh' : 'mesh';
+    if (attachment instanceof core.BoundingBoxAttachment) return 'boundingbox';
+    if (attachment instanceof core.PathAttachment) return 'path';
+    return 'region';
+  };
+
+  const skins = {};
+  data.skins.forEach(skin => {
+    const skinMap = {};
+    skin.attachments.forEach((entries, slotIndex) => {
+      if (!entries || !data.slots[slotIndex]) return;
+      const slotMap = {};
+      Object.entries(entries).forEach(([entryName, attachment]) => {
+        const entry = { type: attachmentType(attachment) };
+        if (attachment.name !== entryName) entry.name = attachment.name;
+        if (attachment.path && attachment.path !== attachment.name) entry.path = attachment.path;
+        slotMap[entryName] = entry;
+      });
+      skinMap[data.slots[slotIndex].name] = slotMap;
+    });
+    skins[skin.name] = skinMap;
+  });
+
+  const animations = {};
+  data.animations.forEach(animation => {
+    const slots = {};
+    animation.timelines.forEach(timeline => {
+      if (!(timeline instanceof core.AttachmentTimeline)) return;
+      const slotName = data.slots[timeline.slotIndex].name;
+      slots[slotName] = slots[slotName] || {};
+      slots[slotName].attachment = Array.from(timeline.frames).map((time, i) => ({
+        time,
+        name: timeline.attachmentNames[i]
+      }));
+    });
+    animations[animation.name] = { slots };
+  });
+
+  const events = {};
+  data.events.forEach(event => {
+    events[event.name] = { int: event.intValue, float: event.floatValue, string: event.stringValue };
+  });
+
+  return {
+    skeleton: { hash: data.hash, spine: data.version, width: data.width, height: data.height },
+    bones: data.bones.map(bone => ({ name: bone.name, parent: bone.parent ? bone.parent.name : undefined })),
+    slots: data.slots.map(slot => ({ name: slot.name, bone: slot.boneData.name, attachment: slot.attachmentName })),
+    skins,
+    events,
+    animations
+  };
+}
+
+// **NEW: Spine 3.8 / 4.x JSON detection and downgrade**
+// The bundled runtime reads the 3.7 JSON layout. Newer exports are rewritten best-effort and
+// everything that had to be approximated or dropped is collected in the report.
+const SPINE_RUNTIME_VERSION = '3.7';
+const CONSTRAINT_MIX_RENAMES = { mixRotate: 'rotateMix', mixX: 'translateMix', mixScaleX: 'scaleMix', mixShearY: 'shearMix' };
+const CONSTRAINT_MIX_SECONDARY = { mixY: 'mixX', mixScaleY: 'mixScaleX' };
+
+function detectSpineJsonVersion(spineData) {
+  const declared = spineData.skeleton && typeof spineData.skeleton.spine === 'string' ? spineData.skeleton.spine : null;
+  const match = declared ? /^(\d+)\.(\d+)/.exec(declared) : null;
+  if (match) {
+    return { version: declared, major: Number(match[1]), minor: Number(match[2]), source: 'skeleton.spine' };
+  }
+  // Skins stored as an array only exist from 3.8 on
+  if (Array.isArray(spineData.skins)) {
+    return { version: null, major: 3, minor: 8, source: 'skins array' };
+  }
+  return { version: null, major: 3, minor: 7, source: 'assumed' };
+}
+
+function compareSpineVersion(version) {
+  if (version.major !== 3) return version.major > 3 ? 1 : -1;
+  return version.minor === 7 ? 0 : (version.minor > 7 ? 1 : -1);
+}
+
+function formatSpineVersion(version) {
+  return version.version || `${version.major}.${version.minor}`;
+}
+
+function noteSpineChange(map, message) {
+  map.set(message, (map.get(message) || 0) + 1);
+}
+
+function valueOr(value, fallback) {
+  return value !== undefined ? value : fallback;
+}
+
+// "rrggbb" or "rrggbbaa" -> [r, g, b, a] in 0..1
+function parseSpineColor(hex) {
+  if (typeof hex !== 'string' || hex.length < 6) return [1, 1, 1, 1];
+  const channel = i => parseInt(hex.substr(i * 2, 2), 16) / 255;
+  return [channel(0), channel(1), channel(2), hex.length >= 8 ? channel(3) : 1];
+}
+
+function formatSpineColor(channels) {
+  return channels.map(c => Math.round(Math.min(1, Math.max(0, c)) * 255).toString(16).padStart(2, '0')).join('');
+}
+
+// Linear interpolation between the keys around `time`; curves are ignored
+function sampleSpineFrames(frames, time, read) {
+  let i = 0;
+  while (i < frames.length - 1 && frames[i + 1].time <= time) i++;
+  const current = read(frames[i]);
+  if (time <= frames[i].time || i === frames.length - 1) return current;
+  const next = read(frames[i + 1]);
+  const progress = (time - frames[i].time) / (frames[i + 1].time - frames[i].time);
+  return current.map((value, k) => value + (next[k] - value) * progress);
+}
+
+function convertSpineJson(spineData) {
+  const version = detectSpineJsonVersion(spineData);
+  const report = { version, converted: new Map(), dropped: new Map() };
+  if (compareSpineVersion(version) <= 0) {
+    return { data: spineData, report };
+  }
+
+  const data = JSON.parse(JSON.stringify(spineData));
+  const ctx = { data, report, absoluteCurves: version.major >= 4 };
+
+  (data.bones || []).forEach(bone => {
+    if (bone.inherit !== undefined) {
+      bone.transform = bone.inherit;
+      delete bone.inherit;
+      noteSpineChange(report.converted, 'bone "inherit" renamed to "transform"');
+    }
+    if (bone.skin) {
+      delete bone.skin;
+      noteSpineChange(report.dropped, 'skin-required bones (always active)');
+    }
+  });
+  (data.ik || []).forEach(constraint => {
+    if (constraint.softness) noteSpineChange(report.dropped, 'IK softness');
+    if (constraint.skin) noteSpineChange(report.dropped, 'skin-required IK constraints (always active)');
+  });
+  (data.transform || []).forEach(constraint => {
+    renameConstraintMixes(constraint, ctx);
+    if (constraint.skin) noteSpineChange(report.dropped, 'skin-required transform constraints (always active)');
+  });
+  (data.path || []).forEach(constraint => {
+    renameConstraintMixes(constraint, ctx);
+    if (constraint.spacingMode === 'proportional') {
+      constraint.spacingMode = 'percent';
+      noteSpineChange(report.converted, 'path spacing mode "proportional" approximated as "percent"');
+    }
+    if (constraint.skin) noteSpineChange(report.dropped, 'skin-required path constraints (always active)');
+  });
+  if (data.physics) {
+    noteSpineChange(report.dropped, `physics constraints (${data.physics.length})`);
+    delete data.physics;
+  }
+
+  if (Array.isArray(data.skins)) {
+    const skins = {};
+    data.skins.forEach(skin => {
+      skins[skin.name] = skin.attachments || {};
+      ['bones', 'ik', 'transform', 'path', 'physics'].forEach(key => {
+        if (skin[key] && skin[key].length > 0) noteSpineChange(report.dropped, `skin ${key} lists (skin "${skin.name}")`);
+      });
+    });
+    data.skins = skins;
+    noteSpineChange(report.converted, 'skins array converted to a skin map');
+  }
+  Object.values(data.skins || {}).forEach(skinMap => {
+    Object.values(skinMap).forEach(slotMap => {
+      Object.entries(slotMap).forEach(([entryName, attachment]) => convertSpineAttachment(attachment, entryName, ctx));
+    });
+  });
+
+  Object.values(data.animations || {}).forEach(animation => convertSpineAnimation(animation, ctx));
+
+  return { data, report };
+}
+
+function renameConstraintMixes(map, ctx) {
+  Object.entries(CONSTRAINT_MIX_SECONDARY).forEach(([key, primary]) => {
+    if (map[key] === undefined) return;
+    if (map[key] !== valueOr(map[primary], 1)) {
+      noteSpineChange(ctx.report.dropped, `separate ${key} (${primary} used for both axes)`);
+    }
+    delete map[key];
+  });
+  Object.entries(CONSTRAINT_MIX_RENAMES).forEach(([from, to]) => {
+    if (map[from] === undefined) return;
+    map[to] = map[from];
+    delete map[from];
+    noteSpineChange(ctx.report.converted, `constraint mix "${from}" renamed to "${to}"`);
+  });
+}
+
+function convertSpineAttachment(attachment, entryName, ctx) {
+  if (attachment.type === 'linkedmesh' && attachment.timelines !== undefined) {
+    attachment.deform = attachment.timelines;
+    delete attachment.timelines;
+    noteSpineChange(ctx.report.converted, 'linked mesh "timelines" renamed to "deform"');
+  }
+  if (attachment.sequence) {
+    // Keep the frame shown in setup pose, named the way the editor packs sequences
+    const { start = 1, digits = 0, setup = 0 } = attachment.sequence;
+    const path = valueOr(attachment.path, valueOr(attachment.name, entryName));
+    attachment.path = path + String(start + setup).padStart(digits, '0');
+    delete attachment.sequence;
+    noteSpineChange(ctx.report.dropped, 'image sequences (setup frame only)');
+  }
+}
+
+// Fills omitted times and rewrites curves into the 3.7 form [cx1, cy1, cx2, cy2].
+// channels read the frame's values in the order 4.x stores their beziers.
+function convertSpineFrames(frames, channels, ctx) {
+  frames.forEach(frame => {
+    if (frame.time === undefined) frame.time = 0;
+  });
+  frames.forEach((frame, i) => {
+    if (typeof frame.curve === 'number') {
+      // 3.8: curve, c2, c3, c4 with the same defaults as a linear bezier
+      frame.curve = [frame.curve, valueOr(frame.c2, 0), valueOr(frame.c3, 1), valueOr(frame.c4, 1)];
+      delete frame.c2;
+      delete frame.c3;
+      delete frame.c4;
+      noteSpineChange(ctx.report.converted, 'curve keys (curve, c2, c3, c4) converted to arrays');
+    } else if (Array.isArray(frame.curve) && ctx.absoluteCurves) {
+      const curve = frames[i + 1] ? normalizeSpineCurve(frame.curve, frame, frames[i + 1], channels, ctx) : null;
+      noteSpineChange(ctx.report.converted, 'absolute bezier curves normalized');
+      if (curve) {
+        frame.curve = curve;
+      } else {
+        delete frame.curve;
+      }
+    }
+  });
+  return frames;
+}
+
+// 4.x stores one bezier per value in absolute time/value space; 3.7 has a single normalised
+// curve per key, so the curve of the first value that changes is used for all of them.
+function normalizeSpineCurve(curve, frame, next, channels, ctx) {
+  const duration = next.time - frame.time;
+  if (duration <= 0) return null;
+  const clamp = x => Math.min(1, Math.max(0, x));
+  const normalized = [];
+  channels.forEach((read, k) => {
+    if (k * 4 + 3 >= curve.length) return;
+    const from = read(frame, 0);
+    const to = read(next, 1);
+    if (from === to) return;
+    normalized.push([
+      clamp((curve[k * 4] - frame.time) / duration),
+      (curve[k * 4 + 1] - from) / (to - from),
+      clamp((curve[k * 4 + 2] - frame.time) / duration),
+      (curve[k * 4 + 3] - from) / (to - from)
+    ]);
+  });
+  if (normalized.length === 0) return null;
+  if (normalized.some(c => c.some((value, i) => Math.abs(value - normalized[0][i]) > 0.01))) {
+    noteSpineChange(ctx.report.converted, 'per-value curves merged into one curve per key');
+  }
+  return normalized[0];
+}
+
+function spineValueChannel(key, fallback) {
+  return frame => valueOr(frame[key], fallback);
+}
+
+function spineColorChannels(key, count) {
+  return [0, 1, 2, 3].slice(0, count).map(i => frame => parseSpineColor(frame[key])[i]);
+}
+
+function spineKey(frame, values) {
+  const key = { time: frame.time, ...values };
+  if (frame.curve !== undefined) key.curve = frame.curve;
+  return key;
+}
+
+function convertSpineAnimation(animation, ctx) {
+  const { report } = ctx;
+
+  Object.entries(animation.bones || {}).forEach(([boneName, boneMap]) => {
+    if (boneMap.rotate) {
+      convertSpineFrames(boneMap.rotate, [spineValueChannel('value', 0)], ctx).forEach(frame => {
+        frame.angle = valueOr(frame.value, valueOr(frame.angle, 0));
+        delete frame.value;
+      });
+    }
+    [['translate', 0], ['scale', 1], ['shear', 0]].forEach(([type, fallback]) => {
+      if (boneMap[type]) {
+        convertSpineFrames(boneMap[type], [spineValueChannel('x', fallback), spineValueChannel('y', fallback)], ctx)
+          .forEach(frame => {
+            // 3.8+ omits values equal to the default, which is 1 for scale; the bundled reader assumes 0
+            frame.x = valueOr(frame.x, fallback);
+            frame.y = valueOr(frame.y, fallback);
+          });
+      }
+      mergeSpineAxisTimelines(boneMap, type, fallback, ctx);
+    });
+    Object.keys(boneMap).forEach(type => {
+      if (['rotate', 'translate', 'scale', 'shear'].indexOf(type) === -1) {
+        delete boneMap[type];
+        noteSpineChange(report.dropped, `bone "${type}" timelines`);
+      }
+    });
+  });
+
+  Object.entries(animation.slots || {}).forEach(([slotName, slotMap]) => {
+    convertSpineSlotTimelines(slotMap, slotName, ctx);
+  });
+
+  Object.values(animation.ik || {}).forEach(frames => {
+    convertSpineFrames(frames, [spineValueChannel('mix', 1), spineValueChannel('softness', 0)], ctx).forEach(frame => {
+      if (frame.softness) noteSpineChange(report.dropped, 'IK softness keys');
+      delete frame.softness;
+    });
+  });
+
+  const transformChannels = [
+    spineValueChannel('mixRotate', 1),
+    spineValueChannel('mixX', 1),
+    frame => valueOr(frame.mixY, valueOr(frame.mixX, 1)),
+    spineValueChannel('mixScaleX', 1),
+    frame => valueOr(frame.mixScaleY, valueOr(frame.mixScaleX, 1)),
+    spineValueChannel('mixShearY', 1)
+  ];
+  Object.values(animation.transform || {}).forEach(frames => {
+    convertSpineFrames(frames, transformChannels, ctx).forEach(frame => renameConstraintMixes(frame, ctx));
+  });
+
+  // 4.x renamed the animation section "paths" to "path"
+  if (animation.path && !animation.paths) {
+    animation.paths = animation.path;
+    delete animation.path;
+  }
+  Object.values(animation.paths || {}).forEach(constraintMap => {
+    ['position', 'spacing'].forEach(type => {
+      if (!constraintMap[type]) return;
+      convertSpineFrames(constraintMap[type], [spineValueChannel('value', 0)], ctx).forEach(frame => {
+        frame[type] = valueOr(frame.value, valueOr(frame[type], 0));
+        delete frame.value;
+      });
+    });
+    if (constraintMap.mix) {
+      convertSpineFrames(constraintMap.mix, transformChannels.slice(0, 3), ctx).forEach(frame => renameConstraintMixes(frame, ctx));
+    }
+  });
+
+  // 4.x: attachments/skin/slot/attachment/{deform, sequence} instead of deform/skin/slot/attachment
+  if (animation.attachments) {
+    const deform = animation.deform || {};
+    Object.entries(animation.attachments).forEach(([skinName, skinMap]) => {
+      Object.entries(skinMap).forEach(([slotName, slotMap]) => {
+        Object.entries(slotMap).forEach(([attachmentName, timelines]) => {
+          if (timelines.deform) {
+            deform[skinName] = deform[skinName] || {};
+            deform[skinName][slotName] = deform[skinName][slotName] || {};
+            deform[skinName][slotName][attachmentName] = timelines.deform;
+          }
+          if (timelines.sequence) noteSpineChange(report.dropped, 'sequence timelines');
+        });
+      });
+    });
+    animation.deform = deform;
+    delete animation.attachments;
+    noteSpineChange(report.converted, 'animation "attachments" section converted to "deform"');
+  }
+  Object.values(animation.deform || {}).forEach(skinMap => {
+    Object.values(skinMap).forEach(slotMap => {
+      // A deform key's curve runs from 0 to 1 between this key's vertices and the next's
+      Object.values(slotMap).forEach(frames => convertSpineFrames(frames, [(frame, which) => which], ctx));
+    });
+  });
+
+  const drawOrder = animation.drawOrder || animation.draworder;
+  if (drawOrder) convertSpineFrames(drawOrder, [], ctx);
+  if (animation.events) convertSpineFrames(animation.events, [], ctx);
+
+  if (animation.physics) {
+    noteSpineChange(report.dropped, 'physics timelines');
+    delete animation.physics;
+  }
+}
+
+// 4.x can key x and y separately (translatex, translatey, ...)
+function mergeSpineAxisTimelines(boneMap, type, fallback, ctx) {
+  const xs = boneMap[type + 'x'];
+  const ys = boneMap[type + 'y'];
+  if (!xs && !ys) return;
+  delete boneMap[type + 'x'];
+  delete boneMap[type + 'y'];
+  const read = frame => [valueOr(frame.value, fallback)];
+  if (xs) convertSpineFrames(xs, [spineValueChannel('value', fallback)], ctx);
+  if (ys) convertSpineFrames(ys, [spineValueChannel('value', fallback)], ctx);
+  if (boneMap[type]) {
+    noteSpineChange(ctx.report.dropped, `${type}x/${type}y timelines alongside ${type}`);
+    return;
+  }
+
+  if (xs && ys) {
+    const times = Array.from(new Set(xs.concat(ys).map(frame => frame.time))).sort((a, b) => a - b);
+    boneMap[type] = times.map(time => ({
+      time,
+      x: sampleSpineFrames(xs, time, read)[0],
+      y: sampleSpineFrames(ys, time, read)[0]
+    }));
+    noteSpineChange(ctx.report.converted, `${type}x and ${type}y merged into ${type} (linear between keys)`);
+  } else {
+    const axis = xs ? 'x' : 'y';
+    const other = xs ? 'y' : 'x';
+    boneMap[type] = (xs || ys).map(frame => spineKey(frame, { [axis]: valueOr(frame.value, fallback), [other]: fallback }));
+    noteSpineChange(ctx.report.converted, `${type}${axis} converted to ${type}`);
+  }
+}
+
+function convertSpineSlotTimelines(slotMap, slotName, ctx) {
+  const { report } = ctx;
+  const slot = (ctx.data.slots || []).find(s => s.name === slotName);
+  const setupColor = parseSpineColor(slot ? slot.color : undefined);
+
+  if (slotMap.color) convertSpineFrames(slotMap.color, spineColorChannels('color', 4), ctx);
+  if (slotMap.attachment) convertSpineFrames(slotMap.attachment, [], ctx);
+  if (slotMap.rgba) {
+    slotMap.color = convertSpineFrames(slotMap.rgba, spineColorChannels('color', 4), ctx);
+    delete slotMap.rgba;
+    noteSpineChange(report.converted, 'slot "rgba" timelines renamed to "color"');
+  }
+  // Two color tint: the bundled runtime has no dark color, so only the light color is kept
+  const twoColor = slotMap.rgba2 || slotMap.twoColor;
+  if (twoColor) {
+    const channels = spineColorChannels('light', 4).concat(spineColorChannels('dark', 3));
+    slotMap.color = convertSpineFrames(twoColor, channels, ctx).map(frame => spineKey(frame, { color: frame.light }));
+    delete slotMap.rgba2;
+    delete slotMap.twoColor;
+    noteSpineChange(report.dropped, 'two color tint (dark color)');
+  }
+  if (slotMap.rgb2) {
+    const channels = spineColorChannels('light', 3).concat(spineColorChannels('dark', 3));
+    slotMap.rgb = convertSpineFrames(slotMap.rgb2, channels, ctx).map(frame => spineKey(frame, { color: frame.light }));
+    delete slotMap.rgb2;
+    noteSpineChange(report.dropped, 'two color tint (dark color)');
+  }
+
+  const rgb = slotMap.rgb ? convertSpineFrames(slotMap.rgb, spineColorChannels('color', 3), ctx) : null;
+  const alpha = slotMap.alpha ? convertSpineFrames(slotMap.alpha, [spineValueChannel('value', 1)], ctx) : null;
+  delete slotMap.rgb;
+  delete slotMap.alpha;
+  const readRgb = frame => parseSpineColor(frame.color).slice(0, 3);
+  const readAlpha = frame => [valueOr(frame.value, 1)];
+  if (rgb && alpha) {
+    const times = Array.from(new Set(rgb.concat(alpha).map(frame => frame.time))).sort((a, b) => a - b);
+    slotMap.color = times.map(time => ({
+      time,
+      color: formatSpineColor(sampleSpineFrames(rgb, time, readRgb).concat(sampleSpineFrames(alpha, time, readAlpha)))
+    }));
+    noteSpineChange(report.converted, 'rgb and alpha timelines merged into color (linear between keys)');
+  } else if (rgb) {
+    slotMap.color = rgb.map(frame => spineKey(frame, { color: formatSpineColor(readRgb(frame).concat(setupColor[3])) }));
+    noteSpineChange(report.converted, 'slot "rgb" timelines converted to "color" (setup alpha)');
+  } else if (alpha) {
+    slotMap.color = alpha.map(frame => spineKey(frame, { color: formatSpineColor(setupColor.slice(0, 3).concat(readAlpha(frame))) }));
+    noteSpineChange(report.converted, 'slot "alpha" timelines converted to "color" (setup rgb)');
+  }
+
+  Object.keys(slotMap).forEach(type => {
+    if (type !== 'color' && type !== 'attachment') {
+      delete slotMap[type];
+      noteSpineChange(report.dropped, `slot "${type}" timelines`);
+    }
+  });
+}
+
+function formatSpineVersionReport(report) {
+  const { version } = report;
+  const lines = [`Detected: Spine ${formatSpineVersion(version)} (${version.source}), runtime reads ${SPINE_RUNTIME_VERSION}`];
+  const list = (title, map) => {
+    if (map.size === 0) return;
+    lines.push('', title);
+    map.forEach((count, message) => lines.push(`  ${message}${count > 1 ? ` (x${count})` : ''}`));
+  };
+  list('Converted:', report.converted);
+  list('Not supported by the runtime (dropped):', report.dropped);
+  return lines.join('\n');
+}
+
+function showSpineVersionReport(report) {
+  versionReport.onclick = null;
+  if (!report) {
+    versionReport.textContent = '';
+    versionReport.className = '';
+    return;
+  }
+  const { version } = report;
+  const comparison = compareSpineVersion(version);
+  if (comparison === 0) {
+    versionReport.textContent = `Spine ${formatSpineVersion(version)}`;
+    versionReport.className = '';
+    return;
+  }
+  versionReport.className = 'warning';
+  if (comparison < 0) {
+    versionReport.textContent = `⚠️ Spine ${formatSpineVersion(version)} (older than ${SPINE_RUNTIME_VERSION})`;
+    return;
+  }
+  versionReport.textContent = `⚠️ Spine ${formatSpineVersion(version)} → ${SPINE_RUNTIME_VERSION}: ` +
+    `${report.converted.size} conversions, ${report.dropped.size} unsupported features`;
+  versionReport.onclick = () => showDetailsModal('Spine Version Compatibility', formatSpineVersionReport(report));
+}
+
+// Detects the export version, downgrades newer JSON and reports what changed
+function prepareSpineJson(spineData) {
+  let result;
+  try {
+    result = convertSpineJson(spineData);
+  } catch (error) {
+    const version = detectSpineJsonVersion(spineData);
+    throw new Error(`Spine ${formatSpineVersion(version)} JSON could not be converted to ${SPINE_RUNTIME_VERSION}: ${error.message}`);
+  }
+  const { report } = result;
+  const comparison = compareSpineVersion(report.version);
+  showTerminal(`Spine version: ${formatSpineVersion(report.version)} (${report.version.source})`);
+  if (comparison > 0) {
+    showTerminal(`⚠️ Converted to the ${SPINE_RUNTIME_VERSION} layout:\n` + formatSpineVersionReport(report));
+  } else if (comparison < 0) {
+    showTerminal(`⚠️ Exported by an editor older than ${SPINE_RUNTIME_VERSION}, loading unchanged`);
+  }
+  showSpineVersionReport(report);
+  return result.data;
+}
+
+function displayValidationResults(validation) {
+  validationStatus.textContent = '';
+
+  // Update missing attachments display
+  if (validation.missingAttachments.length > 0) {
+    missingAttachments.innerHTML = `⚠️ ${validation.missingAttachments.length} missing attachments`;
+    missingAttachments.className = 'warning';
+    missingAttachments.onclick = () => showMissingDetails(validation.missingAttachments);
+    validationStatus.className = 'warning';
+  } else {
+    missingAttachments.innerHTML = '✅ All attachments found';
+    missingAttachments.className = 'success';
+    missingAttachments.onclick = null;
+    validationStatus.className = 'success';
+  }
+
+  showAtlasCollisions(validation.atlasCollisions || []);
+
+  // Update animation stats
+  const skinCount = Object.keys(validation.skins).length;
+  animationStats.innerHTML = `Animations: ${validation.animations.size} | Skins: ${skinCount}`;
+
+  // Update load button
+  if (validation.missingAttachments.length === 0) {
+    loadButton.textContent = 'Load Animation';
+    loadButton.className = 'success';
+  } else {
+    loadButton.textContent = `Load (${validation.missingAttachments.length} warnings)`;
+    loadButton.className = 'warning';
+  }
+
+  // Atlas pages without an image render blank, so surface them next to the attachment report
+  const pageProblems = validation.pageReport ? describePageReport(validation.pageReport) : [];
+  if (pageProblems.length > 0) {
+    showWarn(`${pageProblems.length} atlas page problem(s):\n` + pageProblems.join('\n'));
+  }
+
+  revalidateButton.style.display = 'inline-block';
+  showTerminal(`Validation complete: ${validation.type} format, ${validation.totalAttachments} attachments checked, ${validation.missingAttachments.length} missing`);
+}
+
+function showMissingDetails(missing) {
+  const details = missing.map(m =>
+    `${m.skin}.${m.slot}: ${m.attachment}`
+  ).join('\n');
+
+  showDetailsModal(`Missing Attachments (${missing.length})`, details);
+}
+
+function showDetailsModal(title, details) {
+  const modal = document.createElement('div');
+  modal.style.cssText = `
+    position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+    background: rgba(0,0,0,0.8); z-index: 1000; display: flex;
+    align-items: center; justify-content: center;
+  `;
+
+  const content = document.createElement('div');
+  content.style.cssText = `
+    background: #333; color: #ff6666; padding: 20px; border-radius: 8px;
+    max-width: 500px; max-height: 400px; overflow: auto;
+    font-family: monospace; font-size: 12px;
+  `;
+
+  content.innerHTML = `
+    <h3></h3>
+    <pre></pre>
+    <button onclick="this.parentElement.parentElement.remove()" 
+            style="margin-top: 10px; padding: 5px 10px; background: #555; color: white; border: none; border-radius: 3px; cursor: pointer;">
       Close
     </button>
   `;
+  content.querySelector('h3').textContent = title;
+  content.querySelector('pre').textContent = details;
+
+  modal.appendChild(content);
+  document.body.appendChild(modal);
+}
+
+// **ENHANCED: Smart skin-specific animation selector**
+function populateSelectorsWithSkinAwareness() {
+  if (!skeletonData) return;
+
+  // Clear selectors
+  animSelector.innerHTML = '<option value="">Select Animation</option>';
+  skinSelector.innerHTML = '<option value="">Select Skin</option>';
+
+  // **FIX: Get skins properly from skeletonData**
+  let skins = [];
+  if (skeletonData.skins && Array.isArray(skeletonData.skins)) {
+    skins = skeletonData.skins;
+  } else if (skeletonData.skins && typeof skeletonData.skins === 'object') {
+    // If skins is an object, convert to array
+    skins = Object.values(skeletonData.skins).filter(s => s && s.name);
+  }
+
+  // Populate skins
+  if (skins.length > 0) {
+    skins.forEach(skin => {
+      if (skin && skin.name) {
+        const opt = document.createElement('option');
+        opt.value = skin.name;
+        opt.textContent = skin.name;
+        skinSelector.appendChild(opt);
+      }
+    });
+  } else {
+    // Add default option
+    const opt = document.createElement('option');
+    opt.value = "default";
+    opt.textContent = "Default";
+    skinSelector.appendChild(opt);
+  }
+
+  // **FIX: Get animations properly**
+  let animations = [];
+  if (skeletonData.animations && Array.isArray(skeletonData.animations)) {
+    animations = skeletonData.animations;
+  } else if (skeletonData.animations && typeof skeletonData.animations === 'object') {
+    animations = Object.values(skeletonData.animations).filter(a => a && a.name);
+  }
+
+  // Populate animations
+  animations.forEach(anim => {
+    if (anim && (anim.name || typeof anim === 'string')) {
+      const animName = typeof anim === 'string' ? anim : anim.name;
+      const opt = document.createElement('option');
+      opt.value = animName;
+      opt.textContent = animName;
+      animSelector.appendChild(opt);
+    }
+  });
+
+  // Set default selections
+  if (skins.length > 0) {
+    skinSelector.value = skins[0].name;
+  }
+  if (animations.length > 0) {
+    animSelector.value = animations[0].name || animations[0];
+  }
+
+  // Update visual feedback if we have validation results
+  if (validationResults) {
+    updateSelectorVisuals();
+  }
+
+  showTerminal(`Populated selectors: ${skins.length} skins, ${animations.length} animations`);
+}
+
+function updateAnimationSelectorForSkin(skinName) {
+  if (!skeletonData) return;
+
+  // Clear and repopulate animations
+  animSelector.innerHTML = '<option value="">Select Animation</option>';
+
+  let animations = [];
+  if (skeletonData.animations && Array.isArray(skeletonData.animations)) {
+    animations = skeletonData.animations;
+  } else if (skeletonData.animations && typeof skeletonData.animations === 'object') {
+    animations = Object.values(skeletonData.animations).filter(a => a && a.name);
+  }
+
+  animations.forEach(anim => {
+    if (anim && (anim.name || typeof anim === 'string')) {
+      const animName = typeof anim === 'string' ? anim : anim.name;
+      const opt = document.createElement('option');
+      opt.value = animName;
+      opt.textContent = animName;
+
+      // Apply visual feedback based on validation
+      if (validationResults && skinName && validationResults.skins[skinName]) {
+        const hasMissing = validationResults.skins[skinName].missing.length > 0;
+        if (hasMissing) {
+          opt.className = 'has-missing';
+          opt.title = `${skinName} has ${validationResults.skins[skinName].missing.length} missing attachments`;
+        }
+      }
+
+      animSelector.appendChild(opt);
+    }
+  });
+
+  updateSelectorVisuals();
+}
+
+function updateSelectorVisuals() {
+  // Add CSS classes for visual feedback
+  const currentSkin = skinSelector.value;
+  const skinOptions = Array.from(skinSelector.options);
+  const animOptions = Array.from(animSelector.options);
+
+  skinOptions.forEach(opt => {
+    if (opt.value === currentSkin) {
+      opt.selected = true;
+    }
+    // Mark skins with missing attachments
+    if (validationResults && validationResults.skins[opt.value] &&
+      validationResults.skins[opt.value].missing.length > 0) {
+      opt.className = 'has-missing';
+    } else {
+      opt.className = '';
+    }
+  });
+
+  animOptions.forEach(opt => {
+    if (opt.value && currentSkin && !canAnimationPlayWithSkin(opt.value, currentSkin)) {
+      opt.className = 'unavailable';
+    } else {
+      opt.className = '';
+    }
+  });
+}
+
+function canAnimationPlayWithSkin(animName, skinName) {
+  if (!validationResults || !validationResults.skins[skinName]) {
+    return true; // Assume it's fine if no validation data
+  }
+
+  const skinData = validationResults.skins[skinName];
+  // If skin has some valid attachments, assume animations can play
+  return (skinData.attachments && Object.keys(skinData.attachments).length > 0) ||
+    (skinData.total === 0); // If no attachments defined, assume it's okay
+}
+
+// **NEW: Load button handler**
+loadButton.addEventListener('click', () => validateAndLoad());
+
+// Validate the current file set, confirm if attachments are missing, then load
+async function validateAndLoad() {
+  try {
+    loadButton.disabled = true;
+    loadButton.textContent = 'Loading...';
+    loadButton.className = 'loading';
+
+    clearTerminal();
+    showTerminal('Starting validation and loading process...');
+
+    // First validate
+    const validation = await validateSpineAssets();
+    displayValidationResults(validation);
+
+    if (validation.missingAttachments.length > 0) {
+      showTerminal(`Found ${validation.missingAttachments.length} missing attachments.`);
+      const proceed = confirm(
+        `Found ${validation.missingAttachments.length} missing attachments.\n` +
+        `Animation may not display correctly.\n\nContinue loading anyway?`
+      );
+      if (!proceed) {
+        showTerminal('Load cancelled by user');
+        return;
+      }
+    }
+
+    showTerminal('Starting asset loading...');
+    // Then load
+    await loadSpineAssets();
+
+  } catch (error) {
+    showError('Process failed: ' + error.message);
+    showTerminal('Process error: ' + error.message);
+    console.error('Load error:', error);
+  } finally {
+    loadButton.disabled = false;
+    loadButton.textContent = validationResults && validationResults.missingAttachments.length > 0
+      ? `Reload (${validationResults.missingAttachments.length} warnings)`
+      : 'Reload';
+    loadButton.className = validationResults && validationResults.missingAttachments.length > 0
+      ? 'warning'
+      : 'success';
+  }
+}
+
+revalidateButton.addEventListener('click', async () => {
+  try {
+    revalidateButton.disabled = true;
+    revalidateButton.textContent = 'Validating...';
+    const validation = await validateSpineAssets();
+    displayValidationResults(validation);
+    if (skeletonData) {
+      populateSelectorsWithSkinAwareness();
+    }
+  } catch (error) {
+    showError('Re-validation failed: ' + error.message);
+  } finally {
+    revalidateButton.disabled = false;
+    revalidateButton.textContent = 'Re-validate';
+  }
+});
+
+// **ENHANCED: Actual loading after validation**
+async function loadSpineAssets(options = {}) {
+  if (!files.skeleton || files.atlases.length === 0 || files.images.length === 0) {
+    showWarn('Please select all required files first.');
+    return;
+  }
+
+  clearTerminal();
+  showTerminal('Loading Spine assets...');
+
+  try {
+    const isBinary = isBinarySkeletonFile(files.skeleton);
+    const skeletonContent = isBinary
+      ? await readFileAsArrayBuffer(files.skeleton)
+      : await readFileAsText(files.skeleton);
+    const atlasContents = await Promise.all(
+      files.atlases.map(atlasFile => readFileAsText(atlasFile))
+    );
+
+    // Atlas pages are resolved against the provided images per atlas file
+    const imageUrls = new Map();
+    const pageReport = { unresolved: [], formatMismatches: [] };
+
+    // Parse every atlas, then combine them in precedence order (first atlas wins on name clashes)
+    const parsedAtlases = [];
+
+    showTerminal(`Processing ${atlasContents.length} atlas files...`);
+    atlasContents.forEach((atlasContent, index) => {
+      try {
+        const textureLoader = createAtlasTextureLoader(files.atlases[index], files.images, imageUrls, pageReport);
+        const atlas = new PIXI.spine.core.TextureAtlas(atlasContent, textureLoader);
+        parsedAtlases.push({ file: files.atlases[index], atlas, text: atlasContent });
+        showTerminal(`Atlas processed: ${atlas.regions ? atlas.regions.length : 0} regions`);
+      } catch (atlasError) {
+        showTerminal(`Warning: Failed to process atlas - ${atlasError.message}`);
+      }
+    });
+
+    showTerminal(`Created textures for ${imageUrls.size} of ${files.images.length} images`);
+    const pageProblems = describePageReport(pageReport);
+    if (pageProblems.length > 0) {
+      pageProblems.forEach(line => showTerminal(`⚠️ ${line}`));
+      showWarn(`${pageProblems.length} atlas page problem(s):\n` + pageProblems.join('\n'));
+    }
+
+    if (parsedAtlases.length === 0) {
+      throw new Error('No valid atlas files could be processed');
+    }
+    const atlas = createCombinedAtlas(parsedAtlases);
+    showTerminal(`Combined ${parsedAtlases.length} atlases: ${atlas.regions.length} regions on ${atlas.pages.length} pages`);
+    atlas.collisions.forEach(collision => showTerminal(`⚠️ ${formatAtlasCollision(collision)}`));
+    showAtlasCollisions(atlas.collisions);
+
+    const spineAtlasLoader = new PIXI.spine.core.AtlasAttachmentLoader(atlas);
+
+    if (isBinary) {
+      // Binary reader skips attachments whose loader returns null
+      showTerminal('Creating skeleton data from binary...');
+      skeletonData = readSkeletonBinary(skeletonContent, createTolerantAttachmentLoader(spineAtlasLoader));
+    } else {
+      // Parse JSON
+      showTerminal('Parsing Spine JSON...');
+      const spineData = prepareSpineJson(JSON.parse(skeletonContent));
+      const spineJsonParser = new PIXI.spine.core.SkeletonJson(spineAtlasLoader);
+
+      // Enhanced error handling for missing attachments
+      const originalReadAttachment = spineJsonParser.readAttachment.bind(spineJsonParser);
+      spineJsonParser.readAttachment = function (map, skin, slotIndex, name) {
+        const type = map.type || 'region';
+        if (type === 'point' || type === 'clipping') {
+          // Same renaming rule as the runtime's own readAttachment
+          name = this.getValue(map, 'name', name);
+        }
+        if (type === 'point') {
+          return createPointAttachment(name, valueOr(map.x, 0) * this.scale, valueOr(map.y, 0) * this.scale,
+            valueOr(map.rotation, 0));
+        }
+        if (type === 'clipping') {
+          const clipping = createClippingAttachment(name, map.end || null);
+          this.readVertices(map, clipping, map.vertexCount << 1);
+          return clipping;
+        }
+        try {
+          return originalReadAttachment(map, skin, slotIndex, name);
+        } catch (err) {
+          if (err.message && err.message.includes("Region not found")) {
+            showTerminal(`⚠️ Skipping missing attachment: ${name} (slot ${slotIndex})`);
+            return null; // Graceful fallback
+          }
+          throw err; // Re-throw other errors
+        }
+      };
+
+      showTerminal('Creating skeleton data...');
+      skeletonData = spineJsonParser.readSkeletonData(spineData);
+      applyEventAudioData(skeletonData, spineData);
+    }
+    showTerminal('Skeleton data created successfully');
+
+    // Create and setup Spine object
+    showTerminal('Creating Spine object...');
+    if (spineObj) {
+      app.stage.removeChild(spineObj);
+      spineObj.destroy({ children: true, texture: true, baseTexture: true });
+    }
+    // Pages that no sprite used are not covered by the destroy above
+    if (combinedAtlas) {
+      combinedAtlas.dispose();
+    }
+    combinedAtlas = atlas;
+
+    spineObj = new PIXI.spine.Spine(skeletonData);
+    spineObj.autoUpdate = !playbackPaused;
+    applyPlaybackSpeed();
+    spineObj.state.addListener({
+      event: handleSpineEvent,
+      // Disposed entries go back to the pool and may be handed out again for another animation
+      dispose: entry => {
+        if (entry === manualEntry) manualEntry = null;
+        playlistEntries.delete(entry);
+      }
+    });
+
+    // Setup pose framing until the default animation is known; a restored session puts its own camera back afterwards
+    boundsCache = { key: null, bounds: null };
+    viewCustomized = false;
+    fitView();
+
+    app.stage.addChild(spineObj);
+    app.stage.addChild(boundsOverlay);
+    app.stage.addChild(boundsLabel);
+    app.stage.addChild(attachmentOverlay);
+    app.stage.addChild(boneOverlay);
+    app.stage.addChild(boneLabel);
+    app.stage.addChild(guidesOverlay);
+    app.stage.addChild(rulerLabels);
+    app.stage.addChild(eventFlashLayer);
+    showTerminal('Spine object added to stage');
+
+    await setupPremultipliedAlpha(atlas.pages);
+
+    // Populate selectors with skin awareness
+    populateSelectorsWithSkinAwareness();
+    applyMixSettings();
+    renderMixControls();
+    stopPlaylist();
+    renderPlaylistPanel();
+    renderAudioPanel();
+    collapsedBones = new Set();
+    if (selectedBoneName && !skeletonData.findBone(selectedBoneName)) selectedBoneName = null;
+    renderBoneTree();
+
+    // Set default skin and animation
+    const defaultSkinName = getDefaultSkinName(skeletonData);
+    if (defaultSkinName) {
+      setSkin(defaultSkinName);
+    }
+
+    const animations = getAvailableAnimations(skeletonData);
+    if (animations.length > 0) {
+      playAnimation(animations[0]);
+    }
+    applyLayerTracks();
+
+    const bounds = fitView();
+    showTerminal(`Bounds: ${Math.round(bounds.width)}x${Math.round(bounds.height)}, Scale: ${spineObj.scale.x.toFixed(2)}`);
+
+    showTerminal(`✅ Successfully loaded! ${animations.length} animations, ${getSkinCount(skeletonData)} skins`);
+    validationStatus.textContent = 'Loaded successfully';
+    validationStatus.className = 'success';
+
+    try {
+      await saveRecentSession(options.keepSession ? currentSessionId : null);
+    } catch (sessionError) {
+      showTerminal(`⚠️ Could not store session: ${sessionError.message}`);
+    }
+
+  } catch (error) {
+    showError('Loading failed: ' + error.message);
+    showTerminal(`Load error: ${error.message}\nStack: ${error.stack}`);
+    console.error('Load error:', error);
+  }
+}
+
+// **NEW: Helper functions for skeleton data**
+function getDefaultSkinName(skeletonData) {
+  if (skeletonData.skins && Array.isArray(skeletonData.skins)) {
+    const defaultSkin = skeletonData.skins.find(s => s.name === 'default') || skeletonData.skins[0];
+    return defaultSkin ? defaultSkin.name : 'default';
+  }
+  return 'default';
+}
+
+function getAvailableAnimations(skeletonData) {
+  if (skeletonData.animations && Array.isArray(skeletonData.animations)) {
+    return skeletonData.animations.filter(a => a && a.name);
+  } else if (skeletonData.animations && typeof skeletonData.animations === 'object') {
+    return Object.values(skeletonData.animations).filter(a => a && a.name);
+  }
+  return [];
+}
+
+function getSkinCount(skeletonData) {
+  if (skeletonData.skins && Array.isArray(skeletonData.skins)) {
+    return skeletonData.skins.length;
+  } else if (skeletonData.skins && typeof skeletonData.skins === 'object') {
+    return Object.keys(skeletonData.skins).length;
+  }
+  return 0;
+}
+
+function setSkin(skinName) {
+  if (spineObj && spineObj.skeleton && skeletonData) {
+    try {
+      const skin = skinName ? skeletonData.findSkin(skinName) : null;
+      if (skin) {
+        spineObj.skeleton.setSkin(skin);
+        spineObj.skeleton.setSlotsToSetupPose();
+        applyPausedPose();
+        currentSkin = skinName;
+
+        // Update animation selector for this skin
+        updateAnimationSelectorForSkin(skinName);
+
+        showTerminal(`🎨 Applied skin: ${skinName}`);
+        scheduleSessionUpdate();
+
+        // Check for missing attachments in current skin
+        if (validationResults && validationResults.skins[skinName]) {
+          const missingCount = validationResults.skins[skinName].missing.length;
+          if (missingCount > 0) {
+            showTerminal(`⚠️ Skin ${skinName} has ${missingCount} missing attachments`);
+          }
+        }
+      } else {
+        showTerminal(`❌ Skin not found: ${skinName}. Available skins: ${getSkinNames(skeletonData).join(', ')}`);
+      }
+    } catch (error) {
+      showTerminal(`Error applying skin ${skinName}: ${error.message}`);
+    }
+  }
+}
+
+function getSkinNames(skeletonData) {
+  if (skeletonData.skins && Array.isArray(skeletonData.skins)) {
+    return skeletonData.skins.map(s => s.name).filter(Boolean);
+  } else if (skeletonData.skins && typeof skeletonData.skins === 'object') {
+    return Object.keys(skeletonData.skins).filter(k => skeletonData.skins[k] && skeletonData.skins[k].name);
+  }
+  return ['default'];
+}
+
+function playAnimation(name) {
+  if (!spineObj || !spineObj.state) {
+    showTerminal('❌ No Spine object available');
+    return;
+  }
+
+  if (!spineObj.state.hasAnimation(name)) {
+    showTerminal(`❌ Animation not found: ${name}`);
+    return;
+  }
+
+  // Check if animation is suitable for current skin
+  if (currentSkin && !canAnimationPlayWithSkin(name, currentSkin)) {
+    const proceed = confirm(
+      `Warning: Animation "${name}" may not display correctly with skin "${currentSkin}" ` +
+      `(missing attachments). Continue anyway?`
+    );
+    if (!proceed) return;
+  }
+
+  try {
+    stopPlaylist();
+    const entry = spineObj.state.setAnimation(0, name, loopMode.value === 'loop');
+    applyPlaybackMode(entry, true);
+    applyPausedPose();
+    showTerminal(`▶️ Playing: ${name} (${currentSkin || 'default'})`);
+    scheduleSessionUpdate();
+  } catch (error) {
+    showTerminal(`Error playing animation ${name}: ${error.message}`);
+  }
+}
+
+// Event listeners
+skinSelector.addEventListener("change", e => {
+  const skinName = e.target.value;
+  if (skinName) {
+    setSkin(skinName);
+  }
+});
+
+animSelector.addEventListener("change", e => {
+  const animName = e.target.value;
+  if (animName) {
+    playAnimation(animName);
+  }
+});
+
+// Utility function
+function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    if (!file) {
+      reject(new Error('No file provided'));
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = e => resolve(e.target.result);
+    reader.onerror = () => reject(new Error('Failed to read file: ' + file.name));
+    reader.readAsText(file);
+  });
+}
+
+function readFileAsArrayBuffer(file) {
+  return new Promise((resolve, reject) => {
+    if (!file) {
+      reject(new Error('No file provided'));
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = e => resolve(e.target.result);
+    reader.onerror = () => reject(new Error('Failed to read file: ' + file.name));
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+// Window resize handler
+window.addEventListener('resize', () => {
+  if (spineObj && viewCustomized) {
+    // Keep what the user framed in the middle of the canvas
+    spineObj.x += (app.renderer.width - lastRendererSize.width) / 2;
+    spineObj.y += (app.renderer.height - lastRendererSize.height) / 2;
+  } else if (spineObj) {
+    // Wait for next frame to get accurate bounds
+    requestAnimationFrame(() => {
+      if (spineObj && !viewCustomized) {
+        fitView();
+      }
+    });
+  }
+  lastRendererSize = { width: app.renderer.width, height: app.renderer.height };
+});
+
+// **NEW: Transport bar (play/pause, frame step, scrubber)**
+// Paused playback switches off Spine.autoUpdate; seeks move track 0's entry and re-apply the pose.
+let playbackPaused = false;
+let transportScrubbing = false;
+
+function getTransportEntry() {
+  const entry = spineObj && spineObj.state ? spineObj.state.getCurrent(0) : null;
+  return entry && entry.animation ? entry : null;
+}
+
+// Time within the animation, so looping entries don't run past the duration
+function getTransportTime(entry) {
+  return entry.getAnimationTime() - entry.animationStart;
+}
+
+function getTransportFps() {
+  const fps = parseFloat(transportFps.value);
+  return fps > 0 ? fps : 30;
+}
+
+function applyPausedPose() {
+  if (spineObj && playbackPaused) {
+    spineObj.update(0);
+  }
+}
+
+function setPlaybackPaused(paused) {
+  playbackPaused = paused;
+  if (spineObj) {
+    // autoUpdate measures from lastTime; reset it so resuming doesn't jump by the paused duration
+    spineObj.lastTime = 0;
+    spineObj.autoUpdate = !paused;
+  }
+  transportPlay.textContent = paused ? '▶' : '⏸';
+}
+
+function seekTransport(time) {
+  const entry = getTransportEntry();
+  if (!entry) return;
+  const duration = entry.animation.duration;
+  let target = Math.min(Math.max(time, 0), duration);
+  // A looping entry wraps at the duration, which would show the first frame instead of the last
+  if (entry.loop && target >= duration && duration > 0) {
+    target = duration - 0.0001;
+  }
+  setEntryTime(entry, target);
+  spineObj.update(0);
+  updateTransportBar();
+}
+
+function setEntryTime(entry, time) {
+  entry.trackTime = time;
+  // Start the next update from here so events between the old and new time don't fire
+  entry.nextTrackLast = entry.trackTime;
+  entry.nextAnimationLast = entry.getAnimationTime();
+}
+
+function stepTransport(frames) {
+  const entry = getTransportEntry();
+  if (!entry) return;
+  setPlaybackPaused(true);
+  const fps = getTransportFps();
+  // Snap to the frame grid first so stepping lands on whole frames
+  const frame = Math.round(getTransportTime(entry) * fps) + frames;
+  seekTransport(frame / fps);
+}
+
+function updateTransportBar() {
+  const entry = getTransportEntry();
+  transportBar.classList.toggle('disabled', !entry);
+  const animation = entry ? entry.animation : null;
+  if (animation !== eventMarkersAnimation) {
+    renderEventMarkers(animation);
+  }
+  if (!entry) {
+    transportTime.textContent = '-';
+    return;
+  }
+  const fps = getTransportFps();
+  const duration = entry.animation.duration;
+  const time = getTransportTime(entry);
+  if (!transportScrubbing) {
+    transportScrubber.max = duration;
+    transportScrubber.value = time;
+  }
+  transportTime.textContent = `${time.toFixed(2)} / ${duration.toFixed(2)} s · ` +
+    `frame ${Math.round(time * fps)}/${Math.round(duration * fps)}`;
+}
+
+transportPlay.addEventListener('click', () => setPlaybackPaused(!playbackPaused));
+transportStart.addEventListener('click', () => seekTransport(0));
+transportEnd.addEventListener('click', () => {
+  const entry = getTransportEntry();
+  if (entry) seekTransport(entry.animation.duration);
+});
+transportBack.addEventListener('click', () => stepTransport(-1));
+transportForward.addEventListener('click', () => stepTransport(1));
+transportScrubber.addEventListener('input', () => {
+  transportScrubbing = true;
+  setPlaybackPaused(true);
+  seekTransport(parseFloat(transportScrubber.value));
+});
+transportScrubber.addEventListener('change', () => {
+  transportScrubbing = false;
+});
+transportFps.addEventListener('change', updateTransportBar);
+
+document.addEventListener('keydown', e => {
+  if (!spineObj || e.target.closest('input, select, textarea, button')) return;
+  if (e.key === ' ') {
+    e.preventDefault();
+    setPlaybackPaused(!playbackPaused);
+  } else if (e.key === 'ArrowLeft') {
+    e.preventDefault();
+    stepTransport(-1);
+  } else if (e.key === 'ArrowRight') {
+    e.preventDefault();
+    stepTransport(1);
+  } else if (e.key === 'f') {
+    viewFit.click();
+  } else if (e.key === '0') {
+    resetView();
+  } else if (e.key === '1' || e.key === '2') {
+    zoomView(Number(e.key));
+  }
+});
+
+app.ticker.add(updateTransportBar);
+
+// **NEW: Playback speed, loop mode and reverse**
+// Forward loop/once use the runtime directly. Reverse and ping-pong freeze the entry
+// (timeScale 0) and move its time from the ticker instead, since tracks can't run backwards.
+// The settings live in the controls, so they carry over to every animation that is played.
+let playbackDirection = 1;
+// The track 0 entry the ticker drives. Kept here rather than on the entry, since the runtime
+// pools TrackEntry objects and never clears properties added to them.
+let manualEntry = null;
+
+function getPlaybackSpeed() {
+  return parseFloat(speedControl.value) || 1;
+}
+
+function usesManualPlayback() {
+  return reversePlayback.checked || loopMode.value === 'pingpong';
+}
+
+function applyPlaybackSpeed() {
+  const speed = getPlaybackSpeed();
+  speedValue.textContent = `${speed.toFixed(2)}x`;
+  if (spineObj && spineObj.state) {
+    spineObj.state.timeScale = speed;
+  }
+}
+
+// restart: the entry was just set, so start from whichever end the direction begins at
+function applyPlaybackMode(entry, restart = false) {
+  if (!entry || !entry.animation) return;
+  const manual = usesManualPlayback();
+  const time = restart
+    ? (reversePlayback.checked ? entry.animation.duration : 0)
+    : getTransportTime(entry);
+  entry.loop = loopMode.value === 'loop' && !manual;
+  entry.timeScale = manual ? 0 : 1;
+  manualEntry = manual ? entry : null;
+  playbackDirection = reversePlayback.checked ? -1 : 1;
+  setEntryTime(entry, time);
+}
+
+function driveManualPlayback() {
+  const entry = getTransportEntry();
+  if (!entry || !usesManualPlayback()) return;
+  // An entry queued with addAnimation (playlist, transition preview) took over track 0
+  if (entry !== manualEntry) applyPlaybackMode(entry, true);
+  if (playbackPaused) return;
+  const duration = entry.animation.duration;
+  if (duration <= 0) return;
+
+  // The stretches of animation time covered this frame, in playback order, for firing events
+  const crossed = [];
+  let start = getTransportTime(entry);
+  let time = start + playbackDirection * getPlaybackSpeed() * app.ticker.elapsedMS / 1000;
+  if (loopMode.value === 'pingpong') {
+    // Reflect off either end
+    while (time > duration || time < 0) {
+      if (time > duration) {
+        crossed.push([start, duration]);
+        start = duration;
+        time = 2 * duration - time;
+        playbackDirection = -1;
+      } else {
+        crossed.push([start, 0]);
+        start = 0;
+        time = -time;
+        playbackDirection = 1;
+      }
+    }
+  } else if (loopMode.value === 'loop') {
+    while (time > duration || time < 0) {
+      // Wrapping starts the next stretch on the far end, which itself counts as crossed
+      if (time > duration) {
+        crossed.push([start, duration]);
+        start = -Infinity;
+        time -= duration;
+      } else {
+        crossed.push([start, 0]);
+        start = Infinity;
+        time += duration;
+      }
+    }
+  } else {
+    // Once: hold on the last frame reached
+    time = Math.min(Math.max(time, 0), duration);
+  }
+  crossed.push([start, time]);
+  setEntryTime(entry, time);
+  crossed.forEach(([from, to]) => fireCrossedEvents(entry, from, to));
+}
+
+// setEntryTime() keeps the runtime from firing events, so fire the keys in (from, to] here,
+// in playback order
+function fireCrossedEvents(entry, from, to) {
+  const timeline = getEventTimeline(entry.animation);
+  if (!timeline || from === to) return;
+  const events = timeline.events.filter(event => from < to
+    ? event.time > from && event.time <= to
+    : event.time < from && event.time >= to);
+  if (from > to) events.reverse();
+  events.forEach(event => handleSpineEvent(entry, event));
+}
+
+speedControl.addEventListener('input', applyPlaybackSpeed);
+speedValue.addEventListener('dblclick', () => {
+  speedControl.value = 1;
+  applyPlaybackSpeed();
+});
+loopMode.addEventListener('change', () => applyPlaybackMode(getTransportEntry()));
+reversePlayback.addEventListener('change', () => applyPlaybackMode(getTransportEntry()));
+
+app.ticker.add(driveManualPlayback);
+
+// **NEW: Mix durations (AnimationStateData) and transition preview**
+// mixSettings is also the export format: { defaultMix, mixes: { from: { to: seconds } } }
+let mixSettings = { defaultMix: 0, mixes: {} };
+
+function getMixPair(from, to) {
+  return mixSettings.mixes[from] ? mixSettings.mixes[from][to] : undefined;
+}
+
+function setMixPair(from, to, duration) {
+  if (duration === undefined) {
+    if (mixSettings.mixes[from]) {
+      delete mixSettings.mixes[from][to];
+      if (Object.keys(mixSettings.mixes[from]).length === 0) delete mixSettings.mixes[from];
+    }
+  } else {
+    mixSettings.mixes[from] = mixSettings.mixes[from] || {};
+    mixSettings.mixes[from][to] = duration;
+  }
+  applyMixSettings();
+  scheduleSessionUpdate();
+}
+
+function applyMixSettings() {
+  if (!spineObj || !skeletonData) return;
+  const data = spineObj.state.data;
+  data.defaultMix = mixSettings.defaultMix;
+  // Rebuilt from scratch so cleared pairs fall back to the default mix
+  data.animationToMixTime = {};
+  const skipped = [];
+  Object.entries(mixSettings.mixes).forEach(([from, targets]) => {
+    Object.entries(targets).forEach(([to, duration]) => {
+      if (skeletonData.findAnimation(from) && skeletonData.findAnimation(to)) {
+        data.setMix(from, to, duration);
+      } else {
+        skipped.push(`${from} → ${to}`);
+      }
+    });
+  });
+  if (skipped.length > 0) {
+    showTerminal(`⚠️ Mix pairs for missing animations kept but not applied: ${skipped.join(', ')}`);
+  }
+}
+
+// A plays from its start, B is queued after leadIn seconds and mixes in with the configured duration
+function previewTransition(from, to, leadIn) {
+  if (!spineObj || !from || !to) return;
+  const state = spineObj.state;
+  stopPlaylist();
+  state.clearTrack(0);
+  const first = state.setAnimation(0, from, true);
+  const second = state.addAnimation(0, to, loopMode.value !== 'once', leadIn);
+  setPlaybackPaused(false);
+  animSelector.value = to;
+  showTerminal(`🔀 ${from} → ${to} after ${leadIn}s, mix ${state.data.getMix(first.animation, second.animation)}s`);
+}
+
+function exportMixSettings() {
+  downloadJson(mixSettings, `${files.skeleton ? getFileBaseName(files.skeleton) : 'skeleton'}-mix.json`);
+}
+
+function renderMixControls() {
+  mixControls.innerHTML = '';
+  if (!skeletonData) {
+    mixControls.style.display = 'none';
+    return;
+  }
+  mixControls.style.display = 'flex';
+  const animationNames = getAvailableAnimations(skeletonData).map(animation => animation.name);
+  const pairCount = Object.values(mixSettings.mixes).reduce((sum, targets) => sum + Object.keys(targets).length, 0);
+
+  const defaultLabel = document.createElement('label');
+  const defaultInput = document.createElement('input');
+  defaultInput.type = 'number';
+  defaultInput.min = 0;
+  defaultInput.step = 0.05;
+  defaultInput.value = mixSettings.defaultMix;
+  defaultInput.onchange = () => {
+    mixSettings.defaultMix = Math.max(0, parseFloat(defaultInput.value) || 0);
+    applyMixSettings();
+    scheduleSessionUpdate();
+  };
+  defaultLabel.appendChild(document.createTextNode('Default mix'));
+  defaultLabel.appendChild(defaultInput);
+  defaultLabel.appendChild(document.createTextNode('s'));
+
+  const matrix = document.createElement('button');
+  matrix.textContent = `Mix matrix (${pairCount})…`;
+  matrix.onclick = () => showMixMatrix(animationNames);
+
+  const createAnimationSelect = value => {
+    const select = document.createElement('select');
+    animationNames.forEach(name => {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = name;
+      select.appendChild(opt);
+    });
+    if (value) select.value = value;
+    return select;
+  };
+  const fromSelect = createAnimationSelect(animSelector.value);
+  const toSelect = createAnimationSelect(animationNames[1]);
+  const leadIn = document.createElement('input');
+  leadIn.type = 'number';
+  leadIn.min = 0;
+  leadIn.step = 0.1;
+  leadIn.value = 0.5;
+  leadIn.title = 'Seconds of the first animation before the transition';
+
+  const play = document.createElement('button');
+  play.textContent = 'Play A → B';
+  play.onclick = () => previewTransition(fromSelect.value, toSelect.value, Math.max(0, parseFloat(leadIn.value) || 0));
+
+  const exportButton = document.createElement('button');
+  exportButton.textContent = 'Export JSON';
+  exportButton.onclick = exportMixSettings;
+
+  [defaultLabel, matrix, fromSelect, document.createTextNode('→'), toSelect,
+    document.createTextNode('after'), leadIn, play, exportButton].forEach(el => mixControls.appendChild(el));
+}
+
+function showMixMatrix(animationNames) {
+  const modal = document.createElement('div');
+  modal.style.cssText = `
+    position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+    background: rgba(0,0,0,0.8); z-index: 1000; display: flex;
+    align-items: center; justify-content: center;
+  `;
+
+  const content = document.createElement('div');
+  content.className = 'mix-matrix';
+  const title = document.createElement('h3');
+  title.textContent = `Mix durations (blank = default ${mixSettings.defaultMix}s)`;
+  content.appendChild(title);
+
+  const table = document.createElement('table');
+  const headerRow = table.insertRow();
+  headerRow.appendChild(document.createElement('th')).textContent = 'from \\ to';
+  animationNames.forEach(name => {
+    headerRow.appendChild(document.createElement('th')).textContent = name;
+  });
+  animationNames.forEach(from => {
+    const row = table.insertRow();
+    row.appendChild(document.createElement('th')).textContent = from;
+    animationNames.forEach(to => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = 0;
+      input.step = 0.05;
+      input.placeholder = mixSettings.defaultMix;
+      input.title = `${from} → ${to}`;
+      const value = getMixPair(from, to);
+      if (value !== undefined) input.value = value;
+      input.onchange = () => {
+        const duration = parseFloat(input.value);
+        setMixPair(from, to, input.value === '' || isNaN(duration) ? undefined : Math.max(0, duration));
+      };
+      row.insertCell().appendChild(input);
+    });
+  });
+  content.appendChild(table);
+
+  const close = document.createElement('button');
+  close.textContent = 'Close';
+  close.onclick = () => {
+    modal.remove();
+    renderMixControls();
+  };
+  content.appendChild(close);
+
+  modal.appendChild(content);
+  document.body.appendChild(modal);
+}
+
+// **NEW: Animation bounds (sampled union AABB for framing and the bounds overlay)**
+// Bounds are in skeleton units, i.e. spineObj's local space, which is atlas pixels at 100%.
+// Sampling runs on a scratch Skeleton so the live pose and track state are left alone.
+const BOUNDS_SAMPLE_RATE = 30; // samples per second of animation
+const BOUNDS_MAX_SAMPLES = 600;
+const boundsOverlay = new PIXI.Graphics();
+const boundsLabel = new PIXI.Text('', { fontFamily: 'monospace', fontSize: 12, fill: 0x4fc3f7 });
+let boundsCache = { key: null, bounds: null };
+
+// Skeleton.getBounds() is a stub in this runtime (updateWorldVertices returns []), so regions
+// are placed the way Spine.createSprite does and meshes go through computeWorldVertices.
+function addSkeletonBounds(skeleton, box) {
+  const core = PIXI.spine.core;
+  const include = (x, y) => {
+    box.minX = Math.min(box.minX, x);
+    box.minY = Math.min(box.minY, y);
+    box.maxX = Math.max(box.maxX, x);
+    box.maxY = Math.max(box.maxY, y);
+  };
+  skeleton.drawOrder.forEach(slot => {
+    const attachment = slot.getAttachment();
+    const m = slot.bone.matrix;
+    if (attachment instanceof core.RegionAttachment) {
+      const cos = Math.cos(attachment.rotation * core.MathUtils.degRad);
+      const sin = Math.sin(attachment.rotation * core.MathUtils.degRad);
+      const halfWidth = attachment.width * attachment.scaleX / 2;
+      const halfHeight = attachment.height * attachment.scaleY / 2;
+      [[-1, -1], [1, -1], [1, 1], [-1, 1]].forEach(([sx, sy]) => {
+        const x = attachment.x + sx * halfWidth * cos - sy * halfHeight * sin;
+        const y = attachment.y + sx * halfWidth * sin + sy * halfHeight * cos;
+        include(m.a * x + m.c * y + m.tx, m.b * x + m.d * y + m.ty);
+      });
+    } else if (attachment instanceof core.MeshAttachment) {
+      const vertices = new Array(attachment.worldVerticesLength);
+      attachment.computeWorldVertices(slot, vertices);
+      for (let i = 0; i < vertices.length; i += 2) {
+        include(vertices[i], vertices[i + 1]);
+      }
+    }
+  });
+}
+
+function computeAnimationBounds(animationNames, skinName) {
+  const skeleton = new PIXI.spine.core.Skeleton(skeletonData);
+  if (skinName && skeletonData.findSkin(skinName)) skeleton.setSkinByName(skinName);
+  const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  const sample = () => {
+    skeleton.updateWorldTransform();
+    addSkeletonBounds(skeleton, box);
+  };
+
+  skeleton.setToSetupPose();
+  sample();
+  animationNames.forEach(name => {
+    const animation = skeletonData.findAnimation(name);
+    if (!animation) return;
+    const steps = Math.min(Math.max(Math.ceil(animation.duration * BOUNDS_SAMPLE_RATE), 1), BOUNDS_MAX_SAMPLES);
+    for (let i = 0; i <= steps; i++) {
+      skeleton.setToSetupPose();
+      animation.apply(skeleton, 0, animation.duration * i / steps, false, null, 1, true, false);
+      sample();
+    }
+  });
+
+  if (box.minX === Infinity) return null;
+  return { x: box.minX, y: box.minY, width: box.maxX - box.minX, height: box.maxY - box.minY };
+}
+
+// What "fit" frames: the selected animation, every animation, or just the setup pose
+function getFramingBounds() {
+  if (!skeletonData) return null;
+  const mode = fitMode.value;
+  const names = mode === 'all'
+    ? skeletonData.animations.map(animation => animation.name)
+    : mode === 'animation' && animSelector.value ? [animSelector.value] : [];
+  const key = `${currentSkin}|${mode}|${names.length === 1 ? names[0] : ''}`;
+  if (boundsCache.key !== key) {
+    boundsCache = { key, bounds: computeAnimationBounds(names, currentSkin) };
+  }
+  return boundsCache.bounds;
+}
+
+function updateBoundsOverlay() {
+  const bounds = spineObj && showBounds.checked ? getFramingBounds() : null;
+  boundsOverlay.visible = boundsLabel.visible = !!bounds;
+  if (!bounds) return;
+  const topLeft = spineObj.toGlobal(new PIXI.Point(bounds.x, bounds.y));
+  const bottomRight = spineObj.toGlobal(new PIXI.Point(bounds.x + bounds.width, bounds.y + bounds.height));
+  boundsOverlay.clear();
+  boundsOverlay.lineStyle(1, 0x4fc3f7, 0.9);
+  boundsOverlay.drawRect(topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+  const text = `${Math.ceil(bounds.width)} × ${Math.ceil(bounds.height)} px`;
+  if (boundsLabel.text !== text) boundsLabel.text = text;
+  boundsLabel.position.set(topLeft.x, topLeft.y - 16);
+}
+
+fitMode.addEventListener('change', () => {
+  if (spineObj && !viewCustomized) fitView();
+});
+app.ticker.add(updateBoundsOverlay);
+
+// **NEW: Camera (pan, zoom, presets)**
+// The camera is spineObj's own position and scale. Once the user moves it, viewCustomized
+// stops window resizes from re-fitting; "Reset view" hands control back to the auto-fit.
+const ZOOM_MIN = 0.02;
+const ZOOM_MAX = 20;
+let viewCustomized = false;
+let viewDrag = null;
+let lastRendererSize = { width: app.renderer.width, height: app.renderer.height };
+
+function fitView() {
+  // Nothing drawable: leave a 100px box around the origin
+  const bounds = getFramingBounds() || { x: -50, y: -50, width: 100, height: 100 };
+  const scaleX = (app.renderer.width * 0.8) / bounds.width;
+  const scaleY = (app.renderer.height * 0.8) / bounds.height;
+  const scale = Math.min(scaleX, scaleY, 0.8);
+  spineObj.scale.set(scale);
+  spineObj.x = app.renderer.width / 2 - (bounds.x + bounds.width / 2) * scale;
+  spineObj.y = app.renderer.height / 2 - (bounds.y + bounds.height / 2) * scale;
+  updateZoomValue();
+  return bounds;
+}
+
+function resetView() {
+  if (!spineObj) return;
+  viewCustomized = false;
+  fitView();
+  scheduleSessionUpdate();
+}
+
+// Scale around a canvas point so whatever is under it stays put
+function zoomView(scale, centerX = app.renderer.width / 2, centerY = app.renderer.height / 2) {
+  if (!spineObj) return;
+  const next = Math.max(ZOOM_MIN, Math.min(ZOOM_MAX, scale));
+  const ratio = next / spineObj.scale.x;
+  spineObj.x = centerX - (centerX - spineObj.x) * ratio;
+  spineObj.y = centerY - (centerY - spineObj.y) * ratio;
+  spineObj.scale.set(next);
+  viewCustomized = true;
+  updateZoomValue();
+  scheduleSessionUpdate();
+}
+
+function updateZoomValue() {
+  zoomValue.textContent = spineObj ? `${Math.round(spineObj.scale.x * 100)}%` : '-';
+}
+
+// Canvas pixels may differ from CSS pixels if the canvas is stretched
+function getCanvasPoint(e) {
+  const rect = app.view.getBoundingClientRect();
+  return {
+    x: (e.clientX - rect.left) * app.renderer.width / rect.width,
+    y: (e.clientY - rect.top) * app.renderer.height / rect.height
+  };
+}
+
+app.view.addEventListener('wheel', e => {
+  if (!spineObj) return;
+  e.preventDefault();
+  const point = getCanvasPoint(e);
+  zoomView(spineObj.scale.x * Math.pow(1.0015, -e.deltaY), point.x, point.y);
+}, { passive: false });
+
+app.view.addEventListener('pointerdown', e => {
+  if (!spineObj || (e.button !== 0 && e.button !== 1)) return;
+  const point = getCanvasPoint(e);
+  // Remember the bone under the cursor now; the overlay stops hit-testing while a drag is active
+  viewDrag = { pointerId: e.pointerId, x: point.x, y: point.y, moved: false, bone: hoveredBone };
+  app.view.setPointerCapture(e.pointerId);
+  app.view.classList.add('panning');
+});
+
+app.view.addEventListener('pointermove', e => {
+  if (!viewDrag || e.pointerId !== viewDrag.pointerId) return;
+  const point = getCanvasPoint(e);
+  spineObj.x += point.x - viewDrag.x;
+  spineObj.y += point.y - viewDrag.y;
+  viewDrag.moved = viewDrag.moved || point.x !== viewDrag.x || point.y !== viewDrag.y;
+  viewDrag.x = point.x;
+  viewDrag.y = point.y;
+  viewCustomized = true;
+});
+
+function endViewDrag(e) {
+  if (!viewDrag || e.pointerId !== viewDrag.pointerId) return;
+  const clicked = viewDrag.moved ? null : viewDrag;
+  viewDrag = null;
+  app.view.classList.remove('panning');
+  if (clicked) {
+    // A click without dragging picks the bone under the cursor for the inspector
+    if (clicked.bone) selectBone(clicked.bone.data.name, true);
+    return;
+  }
+  scheduleSessionUpdate();
+}
+app.view.addEventListener('pointerup', endViewDrag);
+app.view.addEventListener('pointercancel', endViewDrag);
+
+viewFit.addEventListener('click', () => {
+  if (!spineObj) return;
+  fitView();
+  viewCustomized = true;
+  scheduleSessionUpdate();
+});
+view100.addEventListener('click', () => zoomView(1));
+view200.addEventListener('click', () => zoomView(2));
+viewReset.addEventListener('click', resetView);
+
+// **NEW: Attachment debug overlays (meshes, bounding boxes, clipping, paths, points)**
+const ATTACHMENT_COLORS = { mesh: 0xfff176, boundingbox: 0x4db6ac, clipping: 0xe53935, path: 0xf48fb1, point: 0xe0e0e0 };
+const attachmentOverlay = new PIXI.Graphics();
+const skeletonBounds = new PIXI.spine.core.SkeletonBounds();
+
+// World vertices of a vertex attachment, mapped to canvas coordinates
+function getScreenVertices(slot, attachment) {
+  const world = new Array(attachment.worldVerticesLength);
+  attachment.computeWorldVertices(slot, world);
+  return mapToScreen(world);
+}
+
+function mapToScreen(vertices) {
+  const m = spineObj.worldTransform;
+  const screen = new Array(vertices.length);
+  for (let i = 0; i < vertices.length; i += 2) {
+    screen[i] = m.a * vertices[i] + m.c * vertices[i + 1] + m.tx;
+    screen[i + 1] = m.b * vertices[i] + m.d * vertices[i + 1] + m.ty;
+  }
+  return screen;
+}
+
+function drawMeshOverlay(slot, mesh) {
+  const vertices = getScreenVertices(slot, mesh);
+  const triangles = mesh.triangles;
+  attachmentOverlay.lineStyle(1, ATTACHMENT_COLORS.mesh, 0.35);
+  for (let i = 0; i < triangles.length; i += 3) {
+    const a = triangles[i] * 2, b = triangles[i + 1] * 2, c = triangles[i + 2] * 2;
+    attachmentOverlay.drawPolygon([vertices[a], vertices[a + 1], vertices[b], vertices[b + 1], vertices[c], vertices[c + 1]]);
+  }
+  // The hull is the first hullLength vertex components, in outline order
+  if (mesh.hullLength > 0) {
+    attachmentOverlay.lineStyle(1.5, ATTACHMENT_COLORS.mesh, 0.9);
+    attachmentOverlay.drawPolygon(vertices.slice(0, mesh.hullLength));
+  }
+}
+
+// Path vertices come in triples per point: in handle, point, out handle
+function drawPathOverlay(slot, path) {
+  const v = getScreenVertices(slot, path);
+  const count = v.length;
+  attachmentOverlay.lineStyle(1.5, ATTACHMENT_COLORS.path, 0.9);
+  attachmentOverlay.moveTo(v[2], v[3]);
+  for (let i = 0; i + 9 < count; i += 6) {
+    attachmentOverlay.bezierCurveTo(v[i + 4], v[i + 5], v[i + 6], v[i + 7], v[i + 8], v[i + 9]);
+  }
+  if (path.closed && count >= 6) {
+    attachmentOverlay.bezierCurveTo(v[count - 2], v[count - 1], v[0], v[1], v[2], v[3]);
+  }
+  // Handles, so the shape of each segment can be read
+  attachmentOverlay.lineStyle(1, ATTACHMENT_COLORS.path, 0.4);
+  for (let i = 0; i + 5 < count; i += 6) {
+    attachmentOverlay.moveTo(v[i], v[i + 1]);
+    attachmentOverlay.lineTo(v[i + 4], v[i + 5]);
+    attachmentOverlay.drawCircle(v[i + 2], v[i + 3], 2);
+  }
+}
+
+function drawPointOverlay(slot, point) {
+  const m = slot.bone.matrix;
+  const radians = point.rotation * PIXI.spine.core.MathUtils.degRad;
+  const dirX = Math.cos(radians) * 20, dirY = Math.sin(radians) * 20;
+  const [x, y, tipX, tipY] = mapToScreen([
+    m.a * point.x + m.c * point.y + m.tx, m.b * point.x + m.d * point.y + m.ty,
+    m.a * (point.x + dirX) + m.c * (point.y + dirY) + m.tx, m.b * (point.x + dirX) + m.d * (point.y + dirY) + m.ty
+  ]);
+  // Screen-space arrow of fixed length, pointing along the point's world rotation
+  const angle = Math.atan2(tipY - y, tipX - x);
+  attachmentOverlay.lineStyle(1.5, ATTACHMENT_COLORS.point, 0.9);
+  attachmentOverlay.drawCircle(x, y, 3);
+  attachmentOverlay.moveTo(x, y);
+  attachmentOverlay.lineTo(x + Math.cos(angle) * 14, y + Math.sin(angle) * 14);
+}
+
+function updateAttachmentOverlay() {
+  attachmentOverlay.clear();
+  if (!spineObj) return;
+  const skeleton = spineObj.skeleton;
+  const core = PIXI.spine.core;
+
+  if (showBoundingBoxes.checked) {
+    skeletonBounds.update(skeleton, true);
+    attachmentOverlay.lineStyle(1.5, ATTACHMENT_COLORS.boundingbox, 0.9);
+    skeletonBounds.polygons.forEach(polygon => {
+      attachmentOverlay.beginFill(ATTACHMENT_COLORS.boundingbox, 0.15);
+      attachmentOverlay.drawPolygon(mapToScreen(Array.from(polygon)));
+      attachmentOverlay.endFill();
+    });
+  }
+
+  skeleton.drawOrder.forEach(slot => {
+    const attachment = slot.getAttachment();
+    if (!attachment) return;
+    if (attachment instanceof core.MeshAttachment) {
+      if (showMeshes.checked) drawMeshOverlay(slot, attachment);
+    } else if (attachment instanceof core.PathAttachment) {
+      if (showPaths.checked) drawPathOverlay(slot, attachment);
+    } else if (attachment.debugType === 'clipping') {
+      if (showClipping.checked) {
+        attachmentOverlay.lineStyle(1.5, ATTACHMENT_COLORS.clipping, 0.9);
+        attachmentOverlay.drawPolygon(getScreenVertices(slot, attachment));
+      }
+    } else if (attachment.debugType === 'point') {
+      if (showPoints.checked) drawPointOverlay(slot, attachment);
+    }
+  });
+}
+
+app.ticker.add(updateAttachmentOverlay);
+
+// **NEW: Bone debug overlay**
+// Drawn in screen space every frame, so lines stay 1-2px wide at any zoom.
+const BONE_COLORS = {
+  bone: 0x9e9e9e, ik: 0xffb74d, transform: 0x81c784, path: 0xba68c8, hover: 0xffffff, selected: 0x4fc3f7
+};
+const boneOverlay = new PIXI.Graphics();
+const boneLabel = new PIXI.Text('', {
+  fontFamily: 'monospace',
+  fontSize: 12,
+  fill: 0xffffff,
+  stroke: 0x000000,
+  strokeThickness: 3
+});
+let canvasPointer = null;
+let hoveredBone = null;
+
+// Constraint type per constrained bone; IK wins over transform, transform over path
+function getBoneConstraintTypes(skeleton) {
+  const types = new Map();
+  const mark = (constraints, type) => constraints.forEach(constraint => {
+    constraint.bones.forEach(bone => {
+      if (!types.has(bone)) types.set(bone, type);
+    });
+  });
+  mark(skeleton.ikConstraints, 'ik');
+  mark(skeleton.transformConstraints, 'transform');
+  mark(skeleton.pathConstraints, 'path');
+  return types;
+}
+
+// Joint and tip of a bone in canvas coordinates
+function getBoneScreenSegment(bone) {
+  const m = bone.matrix;
+  const length = bone.data.length;
+  const start = spineObj.worldTransform.apply(new PIXI.Point(m.tx, m.ty));
+  const end = spineObj.worldTransform.apply(new PIXI.Point(m.tx + m.a * length, m.ty + m.b * length));
+  return { start, end };
+}
+
+function getDistanceToSegment(point, start, end) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0 ? 0
+    : Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared));
+  return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+}
+
+function findBoneAtPoint(point, segments) {
+  let found = null;
+  let best = 6; // px
+  segments.forEach(({ bone, start, end }) => {
+    // Joints are easier to aim at than thin segments
+    const distance = Math.min(getDistanceToSegment(point, start, end), Math.hypot(point.x - start.x, point.y - start.y) - 2);
+    if (distance < best) {
+      best = distance;
+      found = bone;
+    }
+  });
+  return found;
+}
+
+function drawBoneSegment(start, end, color, width) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const length = Math.hypot(dx, dy);
+  if (length > 1) {
+    // Kite shape: wide near the joint, pointing at the tip, so orientation is readable
+    const nx = -dy / length * Math.min(4, length / 6) * width / 2;
+    const ny = dx / length * Math.min(4, length / 6) * width / 2;
+    const neckX = start.x + dx * 0.15;
+    const neckY = start.y + dy * 0.15;
+    boneOverlay.lineStyle(width, color, 0.9);
+    boneOverlay.beginFill(color, 0.25);
+    boneOverlay.drawPolygon([start.x, start.y, neckX + nx, neckY + ny, end.x, end.y, neckX - nx, neckY - ny]);
+    boneOverlay.endFill();
+  }
+  boneOverlay.lineStyle(width, color, 0.9);
+  boneOverlay.beginFill(0x000000, 0.6);
+  boneOverlay.drawCircle(start.x, start.y, 3 + width);
+  boneOverlay.endFill();
+}
+
+function updateBoneOverlay() {
+  boneOverlay.clear();
+  boneLabel.visible = false;
+  hoveredBone = null;
+  if (!spineObj) return;
+
+  const skeleton = spineObj.skeleton;
+  // The inspector's selection is drawn even with the overlay off
+  const selected = selectedBoneName ? skeleton.findBone(selectedBoneName) : null;
+  if (!showBones.checked) {
+    if (selected) {
+      const { start, end } = getBoneScreenSegment(selected);
+      drawBoneSegment(start, end, BONE_COLORS.selected, 2);
+    }
+    return;
+  }
+
+  const types = getBoneConstraintTypes(skeleton);
+  const segments = skeleton.bones.map(bone => ({ bone, ...getBoneScreenSegment(bone) }));
+  const hovered = canvasPointer && !viewDrag ? findBoneAtPoint(canvasPointer, segments) : null;
+  hoveredBone = hovered;
+
+  segments.forEach(({ bone, start, end }) => {
+    if (bone !== hovered && bone !== selected) drawBoneSegment(start, end, BONE_COLORS[types.get(bone) || 'bone'], 1);
+  });
+  if (selected && selected !== hovered) {
+    const { start, end } = segments.find(segment => segment.bone === selected);
+    drawBoneSegment(start, end, BONE_COLORS.selected, 2);
+  }
+  if (hovered) {
+    const { start, end } = segments.find(segment => segment.bone === hovered);
+    drawBoneSegment(start, end, BONE_COLORS.hover, 2);
+    const type = types.get(hovered);
+    boneLabel.text = type ? `${hovered.data.name} (${type})` : hovered.data.name;
+    boneLabel.position.set(canvasPointer.x + 12, canvasPointer.y - 18);
+    boneLabel.visible = true;
+  }
+}
+
+app.view.addEventListener('pointermove', e => {
+  canvasPointer = getCanvasPoint(e);
+});
+app.view.addEventListener('pointerleave', () => {
+  canvasPointer = null;
+});
+app.ticker.add(updateBoneOverlay);
+
+// **NEW: Background colour, checkerboard and reference image**
+// The reference image lives in skeleton space (offset from the skeleton origin, in skeleton
+// units), so it pans and zooms with the camera and keeps lining up with the rig.
+const BACKGROUND_PRESETS = [
+  ['#1e1e1e', 'Default'], ['#000000', 'Black'], ['#ffffff', 'White'],
+  ['#808080', 'Grey'], ['#00b140', 'Chroma green'], ['#ff00ff', 'Magenta']
+];
+const backgroundLayer = new PIXI.Container();
+let backgroundSettings = { color: '#1e1e1e', checkerboard: false };
+let referenceImage = null; // { file, sprite, x, y, scale, opacity }
+let checkerboardSprite = null;
+
+function applyBackgroundColor(color) {
+  backgroundSettings.color = color;
+  backgroundColor.value = color;
+  app.renderer.backgroundColor = parseInt(color.slice(1), 16);
+}
+
+function createCheckerboardTexture() {
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = 32;
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#999999';
+  context.fillRect(0, 0, 32, 32);
+  context.fillStyle = '#666666';
+  context.fillRect(0, 0, 16, 16);
+  context.fillRect(16, 16, 16, 16);
+  return PIXI.Texture.fromCanvas(canvas);
+}
+
+function setCheckerboard(enabled) {
+  backgroundSettings.checkerboard = enabled;
+  backgroundChecker.checked = enabled;
+  if (enabled && !checkerboardSprite) {
+    checkerboardSprite = new PIXI.extras.TilingSprite(createCheckerboardTexture(), app.renderer.width, app.renderer.height);
+    backgroundLayer.addChildAt(checkerboardSprite, 0);
+  }
+  if (checkerboardSprite) checkerboardSprite.visible = enabled;
+}
+
+async function setReferenceImage(file, placement = {}) {
+  removeReferenceImage();
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    const sprite = new PIXI.Sprite(new PIXI.Texture(new PIXI.BaseTexture(image)));
+    sprite.anchor.set(0.5);
+    // Keep the grid drawn over the reference image
+    backgroundLayer.addChildAt(sprite, backgroundLayer.children.indexOf(gridOverlay));
+    referenceImage = {
+      file,
+      url,
+      sprite,
+      x: valueOr(placement.x, 0),
+      y: valueOr(placement.y, 0),
+      scale: valueOr(placement.scale, 1),
+      opacity: valueOr(placement.opacity, 0.5)
+    };
+    showTerminal(`🖼️ Reference image: ${getFilePath(file)} (${image.naturalWidth}x${image.naturalHeight})`);
+  } catch (error) {
+    URL.revokeObjectURL(url);
+    showError(`Could not load reference image ${file.name}: ${error.message}`);
+  }
+  renderReferenceControls();
+}
+
+function removeReferenceImage() {
+  if (!referenceImage) return;
+  backgroundLayer.removeChild(referenceImage.sprite);
+  referenceImage.sprite.destroy({ texture: true, baseTexture: true });
+  URL.revokeObjectURL(referenceImage.url);
+  referenceImage = null;
+  renderReferenceControls();
+}
+
+function renderReferenceControls() {
+  referenceSettings.style.display = referenceImage ? 'flex' : 'none';
+  if (!referenceImage) return;
+  referenceName.textContent = getFilePath(referenceImage.file);
+  referenceX.value = referenceImage.x;
+  referenceY.value = referenceImage.y;
+  referenceScale.value = referenceImage.scale;
+  referenceOpacity.value = referenceImage.opacity;
+}
+
+function getBackgroundState() {
+  return {
+    ...backgroundSettings,
+    reference: referenceImage ? {
+      file: toStoredFile(referenceImage.file),
+      x: referenceImage.x,
+      y: referenceImage.y,
+      scale: referenceImage.scale,
+      opacity: referenceImage.opacity
+    } : null
+  };
+}
+
+async function applyBackgroundState(state) {
+  applyBackgroundColor(state.color || '#1e1e1e');
+  setCheckerboard(!!state.checkerboard);
+  if (state.reference) {
+    await setReferenceImage(fromStoredFile(state.reference.file), state.reference);
+  } else {
+    removeReferenceImage();
+  }
+}
+
+function updateBackgroundLayer() {
+  if (checkerboardSprite) {
+    checkerboardSprite.width = app.renderer.width;
+    checkerboardSprite.height = app.renderer.height;
+  }
+  if (!referenceImage) return;
+  const sprite = referenceImage.sprite;
+  // Follow the camera; without a skeleton, centre the image on the canvas
+  const origin = spineObj ? spineObj.position : new PIXI.Point(app.renderer.width / 2, app.renderer.height / 2);
+  const cameraScale = spineObj ? spineObj.scale.x : 1;
+  sprite.position.set(origin.x + referenceImage.x * cameraScale, origin.y + referenceImage.y * cameraScale);
+  sprite.scale.set(referenceImage.scale * cameraScale);
+  sprite.alpha = referenceImage.opacity;
+}
+
+BACKGROUND_PRESETS.forEach(([color, name]) => {
+  const swatch = document.createElement('button');
+  swatch.className = 'background-swatch';
+  swatch.style.background = color;
+  swatch.title = `${name} (${color})`;
+  swatch.onclick = () => {
+    applyBackgroundColor(color);
+    scheduleSessionUpdate();
+  };
+  backgroundPresets.appendChild(swatch);
+});
+backgroundColor.addEventListener('input', () => {
+  applyBackgroundColor(backgroundColor.value);
+  scheduleSessionUpdate();
+});
+backgroundChecker.addEventListener('change', () => {
+  setCheckerboard(backgroundChecker.checked);
+  scheduleSessionUpdate();
+});
+referenceInput.addEventListener('change', async () => {
+  if (referenceInput.files[0]) {
+    await setReferenceImage(referenceInput.files[0]);
+    scheduleSessionUpdate();
+  }
+  referenceInput.value = '';
+});
+[[referenceX, 'x'], [referenceY, 'y'], [referenceScale, 'scale'], [referenceOpacity, 'opacity']].forEach(([input, key]) => {
+  input.addEventListener('input', () => {
+    if (!referenceImage) return;
+    const value = parseFloat(input.value) || 0;
+    // A cleared or zero scale would hide the image; keep the last usable one until the field is valid
+    if (key === 'scale' && value < 0.01) return;
+    referenceImage[key] = value;
+    scheduleSessionUpdate();
+  });
+});
+referenceRemove.addEventListener('click', () => {
+  removeReferenceImage();
+  scheduleSessionUpdate();
+});
+
+// Images dropped on the canvas (rather than the drop zone) become the reference image
+app.view.addEventListener('dragover', e => e.preventDefault());
+app.view.addEventListener('drop', async e => {
+  e.preventDefault();
+  const file = Array.from(e.dataTransfer.files).find(f => IMAGE_EXTENSIONS.includes(getFileExtension(f)));
+  if (!file) {
+    showWarn('Drop an image (PNG/JPG/WebP) on the canvas to use it as a reference.');
+    return;
+  }
+  await setReferenceImage(file);
+  scheduleSessionUpdate();
+});
+
+app.stage.addChildAt(backgroundLayer, 0);
+app.ticker.add(updateBackgroundLayer);
+
+// **NEW: Grid, rulers, origin crosshair and cursor readout**
+// Everything is measured in skeleton units from the skeleton origin (spineObj.x/y).
+// Readouts use Spine's own convention (y up); the runtime stores y down.
+const RULER_SIZE = 18; // px
+const GUIDE_COLOR = 0x90a4ae;
+const gridOverlay = new PIXI.Graphics();
+const guidesOverlay = new PIXI.Graphics();
+const rulerLabels = new PIXI.Container();
+
+// Smallest power-of-two multiple of the spacing that is at least minPixels apart on screen
+function getGuideStep(spacing, scale, minPixels) {
+  let step = spacing;
+  while (step * scale < minPixels) step *= 2;
+  return step;
+}
+
+function getRulerLabel(index) {
+  if (!rulerLabels.children[index]) {
+    rulerLabels.addChild(new PIXI.Text('', { fontFamily: 'monospace', fontSize: 9, fill: 0xcfd8dc }));
+  }
+  const label = rulerLabels.children[index];
+  label.visible = true;
+  return label;
+}
+
+function isGuideMultiple(units, step) {
+  return Math.abs(units / step - Math.round(units / step)) < 1e-6;
+}
+
+function formatGuideUnits(units) {
+  return String(Number(units.toFixed(2)) || 0);
+}
+
+// Calls draw(screen, units) for every step multiple visible along one axis
+function forEachGuideLine(origin, scale, step, length, draw) {
+  const first = Math.ceil(-origin / scale / step);
+  const last = Math.floor((length - origin) / scale / step);
+  for (let i = first; i <= last; i++) {
+    draw(origin + i * step * scale, i * step);
+  }
+}
+
+function updateGuides() {
+  gridOverlay.clear();
+  guidesOverlay.clear();
+  rulerLabels.children.forEach(label => {
+    label.visible = false;
+  });
+  if (!spineObj) {
+    cursorReadout.textContent = '-';
+    return;
+  }
+
+  const width = app.renderer.width;
+  const height = app.renderer.height;
+  const scale = spineObj.scale.x;
+  const { x: originX, y: originY } = spineObj.position;
+  const spacing = Math.max(parseFloat(gridSpacing.value) || 0, 1);
+
+  if (showGrid.checked) {
+    const step = getGuideStep(spacing, scale, 6);
+    gridOverlay.lineStyle(1, GUIDE_COLOR, 0.15);
+    forEachGuideLine(originX, scale, step, width, x => {
+      gridOverlay.moveTo(x, 0);
+      gridOverlay.lineTo(x, height);
+    });
+    forEachGuideLine(originY, scale, step, height, y => {
+      gridOverlay.moveTo(0, y);
+      gridOverlay.lineTo(width, y);
+    });
+  }
+
+  if (showOrigin.checked) {
+    guidesOverlay.lineStyle(1, 0xff5252, 0.8);
+    guidesOverlay.moveTo(originX, 0);
+    guidesOverlay.lineTo(originX, height);
+    guidesOverlay.moveTo(0, originY);
+    guidesOverlay.lineTo(width, originY);
+    guidesOverlay.drawCircle(originX, originY, 6);
+  }
+
+  if (showRulers.checked) {
+    guidesOverlay.lineStyle(0);
+    guidesOverlay.beginFill(0x111111, 0.85);
+    guidesOverlay.drawRect(0, 0, width, RULER_SIZE);
+    guidesOverlay.drawRect(0, RULER_SIZE, RULER_SIZE, height - RULER_SIZE);
+    guidesOverlay.endFill();
+
+    const tickStep = getGuideStep(spacing, scale, 8);
+    const labelStep = getGuideStep(tickStep, scale, 60);
+    let labelIndex = 0;
+    guidesOverlay.lineStyle(1, 0xcfd8dc, 0.8);
+    forEachGuideLine(originX, scale, tickStep, width, (x, units) => {
+      if (x < RULER_SIZE) return;
+      const major = isGuideMultiple(units, labelStep);
+      guidesOverlay.moveTo(x, RULER_SIZE);
+      guidesOverlay.lineTo(x, RULER_SIZE - (major ? 10 : 4));
+      if (major) {
+        const label = getRulerLabel(labelIndex++);
+        label.text = formatGuideUnits(units);
+        label.position.set(x + 2, 1);
+        label.rotation = 0;
+      }
+    });
+    forEachGuideLine(originY, scale, tickStep, height, (y, units) => {
+      if (y < RULER_SIZE) return;
+      const major = isGuideMultiple(units, labelStep);
+      guidesOverlay.moveTo(RULER_SIZE, y);
+      guidesOverlay.lineTo(RULER_SIZE - (major ? 10 : 4), y);
+      if (major) {
+        const label = getRulerLabel(labelIndex++);
+        label.text = formatGuideUnits(-units);
+        label.position.set(1, y - 2);
+        label.rotation = -Math.PI / 2;
+      }
+    });
+    // Cursor position on both rulers
+    if (canvasPointer) {
+      guidesOverlay.lineStyle(1, 0xffd54f, 1);
+      guidesOverlay.moveTo(canvasPointer.x, 0);
+      guidesOverlay.lineTo(canvasPointer.x, RULER_SIZE);
+      guidesOverlay.moveTo(0, canvasPointer.y);
+      guidesOverlay.lineTo(RULER_SIZE, canvasPointer.y);
+    }
+  }
+
+  if (canvasPointer) {
+    const x = (canvasPointer.x - originX) / scale;
+    const y = -(canvasPointer.y - originY) / scale;
+    cursorReadout.textContent = `x ${x.toFixed(1)}, y ${y.toFixed(1)}`;
+  } else {
+    cursorReadout.textContent = '-';
+  }
+}
+
+backgroundLayer.addChild(gridOverlay);
+app.ticker.add(updateGuides);
+
+// **NEW: Bone hierarchy inspector**
+// Rows are built once per load; only the selected bone's transform is refreshed every frame.
+let selectedBoneName = null;
+let collapsedBones = new Set();
+
+function selectBone(name, reveal = false) {
+  selectedBoneName = name;
+  boneTree.querySelectorAll('.bone-row').forEach(row => {
+    row.classList.toggle('selected', row.dataset.bone === name);
+  });
+  if (reveal && name) {
+    // Expand the ancestors so the row can be shown
+    let bone = skeletonData.findBone(name);
+    let expanded = false;
+    for (bone = bone && bone.parent; bone; bone = bone.parent) {
+      expanded = collapsedBones.delete(bone.name) || expanded;
+    }
+    if (expanded) renderBoneTree();
+    const row = boneTree.querySelector(`.bone-row[data-bone="${CSS.escape(name)}"]`);
+    if (row) row.scrollIntoView({ block: 'nearest' });
+  }
+  updateBoneDetails();
+}
+
+function renderBoneTree() {
+  boneTree.innerHTML = '';
+  if (!skeletonData) {
+    bonePanel.style.display = 'none';
+    return;
+  }
+  bonePanel.style.display = 'flex';
+  const query = boneSearch.value.trim().toLowerCase();
+  const children = new Map();
+  skeletonData.bones.forEach(bone => {
+    const key = bone.parent ? bone.parent.name : null;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(bone);
+  });
+
+  // While searching, show matches with their ancestors and ignore collapsing
+  const visible = new Set();
+  if (query) {
+    skeletonData.bones.forEach(bone => {
+      if (bone.name.toLowerCase().includes(query)) {
+        for (let b = bone; b && !visible.has(b.name); b = b.parent) visible.add(b.name);
+      }
+    });
+  }
+
+  const addRows = (bone, depth) => {
+    if (query && !visible.has(bone.name)) return;
+    const kids = children.get(bone.name) || [];
+    const collapsed = !query && collapsedBones.has(bone.name);
+
+    const row = document.createElement('div');
+    row.className = 'bone-row';
+    row.dataset.bone = bone.name;
+    row.style.paddingLeft = `${depth * 12}px`;
+    row.classList.toggle('selected', bone.name === selectedBoneName);
+    row.classList.toggle('match', !!query && bone.name.toLowerCase().includes(query));
+
+    const toggle = document.createElement('span');
+    toggle.className = 'bone-toggle';
+    toggle.textContent = kids.length === 0 ? '·' : collapsed ? '▸' : '▾';
+    if (kids.length > 0) {
+      toggle.onclick = e => {
+        e.stopPropagation();
+        if (collapsedBones.has(bone.name)) {
+          collapsedBones.delete(bone.name);
+        } else {
+          collapsedBones.add(bone.name);
+        }
+        renderBoneTree();
+      };
+    }
+    row.appendChild(toggle);
+    row.appendChild(document.createTextNode(bone.name));
+    row.onclick = () => selectBone(bone.name === selectedBoneName ? null : bone.name);
+    boneTree.appendChild(row);
 
-  modal.appendChild(content);
-  document.body.appendChild(modal);
+    if (!collapsed) kids.forEach(child => addRows(child, depth + 1));
+  };
+  (children.get(null) || []).forEach(root => addRows(root, 0));
+  updateBoneDetails();
 }
 
-// **ENHANCED: Smart skin-specific animation selector**
-function populateSelectorsWithSkinAwareness() {
-  if (!skeletonData) return;
+// World values in Spine's convention (y up), undoing the runtime's y-down flip
+function getBoneWorldTransform(bone) {
+  const m = bone.matrix;
+  const degrees = PIXI.spine.core.MathUtils.radDeg;
+  const rotationX = Math.atan2(-m.b, m.a) * degrees;
+  const rotationY = Math.atan2(-m.d, m.c) * degrees;
+  let shearY = rotationY - rotationX - 90;
+  shearY -= Math.round(shearY / 360) * 360;
+  return {
+    x: m.tx,
+    y: -m.ty,
+    rotation: rotationX,
+    scaleX: Math.hypot(m.a, m.b),
+    scaleY: Math.hypot(m.c, m.d),
+    shearX: 0,
+    shearY
+  };
+}
 
-  // Clear selectors
-  animSelector.innerHTML = '<option value="">Select Animation</option>';
-  skinSelector.innerHTML = '<option value="">Select Skin</option>';
+function formatBoneTransform(t) {
+  const n = value => value.toFixed(2).padStart(8);
+  return `x ${n(t.x)}  y ${n(t.y)}  rot ${n(t.rotation)}\n` +
+    `sx ${n(t.scaleX)}  sy ${n(t.scaleY)}  shx ${n(t.shearX)}  shy ${n(t.shearY)}`;
+}
 
-  // **FIX: Get skins properly from skeletonData**
-  let skins = [];
-  if (skeletonData.skins && Array.isArray(skeletonData.skins)) {
-    skins = skeletonData.skins;
-  } else if (skeletonData.skins && typeof skeletonData.skins === 'object') {
-    // If skins is an object, convert to array
-    skins = Object.values(skeletonData.skins).filter(s => s && s.name);
+function updateBoneDetails() {
+  const bone = spineObj && selectedBoneName ? spineObj.skeleton.findBone(selectedBoneName) : null;
+  if (!bone) {
+    boneDetails.textContent = skeletonData ? `${skeletonData.bones.length} bones · select one for its transform` : '';
+    return;
   }
+  const parent = bone.data.parent ? bone.data.parent.name : '(root)';
+  boneDetails.textContent = `${bone.data.name}  ← ${parent}  · length ${bone.data.length.toFixed(2)}\n` +
+    `Local\n${formatBoneTransform(bone)}\n` +
+    `World\n${formatBoneTransform(getBoneWorldTransform(bone))}`;
+}
 
-  // Populate skins
-  if (skins.length > 0) {
-    skins.forEach(skin => {
-      if (skin && skin.name) {
-        const opt = document.createElement('option');
-        opt.value = skin.name;
-        opt.textContent = skin.name;
-        skinSelector.appendChild(opt);
-      }
-    });
-  } else {
-    // Add default option
-    const opt = document.createElement('option');
-    opt.value = "default";
-    opt.textContent = "Default";
-    skinSelector.appendChild(opt);
-  }
+boneSearch.addEventListener('input', renderBoneTree);
+app.ticker.add(() => {
+  if (selectedBoneName) updateBoneDetails();
+});
 
-  // **FIX: Get animations properly**
-  let animations = [];
-  if (skeletonData.animations && Array.isArray(skeletonData.animations)) {
-    animations = skeletonData.animations;
-  } else if (skeletonData.animations && typeof skeletonData.animations === 'object') {
-    animations = Object.values(skeletonData.animations).filter(a => a && a.name);
+// **NEW: Spine events (log, timeline markers, canvas flash)**
+const EVENT_LOG_LIMIT = 200;
+const EVENT_FLASH_DURATION = 1.2; // seconds
+const eventFlashLayer = new PIXI.Container();
+let eventMarkersAnimation = null;
+
+function getEventTimeline(animation) {
+  return animation.timelines.find(timeline => timeline instanceof PIXI.spine.core.EventTimeline) || null;
+}
+
+function formatEventPayload(event) {
+  const parts = [`int ${event.intValue}`, `float ${Number(event.floatValue).toFixed(2)}`];
+  if (event.stringValue) parts.push(`"${event.stringValue}"`);
+  return parts.join(', ');
+}
+
+function handleSpineEvent(entry, event) {
+  const time = event.time;
+  const row = document.createElement('div');
+  row.className = 'event-row';
+  row.textContent = `${time.toFixed(3)}s  [${entry.trackIndex}] ${entry.animation.name} › ${event.data.name}  (${formatEventPayload(event)})`;
+  eventLogList.insertBefore(row, eventLogList.firstChild);
+  while (eventLogList.childNodes.length > EVENT_LOG_LIMIT) {
+    eventLogList.removeChild(eventLogList.lastChild);
   }
+  eventLogCount.textContent = String(parseInt(eventLogCount.textContent, 10) + 1);
+  flashEventLabel(event);
+  playEventAudio(event);
+}
 
-  // Populate animations
-  animations.forEach(anim => {
-    if (anim && (anim.name || typeof anim === 'string')) {
-      const animName = typeof anim === 'string' ? anim : anim.name;
-      const opt = document.createElement('option');
-      opt.value = animName;
-      opt.textContent = animName;
-      animSelector.appendChild(opt);
+function flashEventLabel(event) {
+  if (!spineObj) return;
+  const label = new PIXI.Text(event.stringValue ? `${event.data.name}: ${event.stringValue}` : event.data.name, {
+    fontFamily: 'monospace',
+    fontSize: 16,
+    fill: 0xffd54f,
+    stroke: 0x000000,
+    strokeThickness: 3
+  });
+  const bounds = spineObj.getBounds();
+  label.anchor.set(0.5, 1);
+  // Stack simultaneous events instead of drawing them on top of each other
+  label.x = bounds.x + bounds.width / 2;
+  label.y = Math.max(bounds.y - 4 - eventFlashLayer.children.length * 18, 20);
+  label.age = 0;
+  eventFlashLayer.addChild(label);
+}
+
+function updateEventFlash(delta) {
+  const seconds = delta / 60;
+  eventFlashLayer.children.slice().forEach(label => {
+    label.age += seconds;
+    label.alpha = Math.max(0, 1 - label.age / EVENT_FLASH_DURATION);
+    label.y -= seconds * 20;
+    if (label.age >= EVENT_FLASH_DURATION) {
+      eventFlashLayer.removeChild(label);
+      label.destroy();
     }
   });
+}
+
+function renderEventMarkers(animation) {
+  eventMarkersAnimation = animation;
+  eventMarkers.innerHTML = '';
+  const timeline = animation ? getEventTimeline(animation) : null;
+  if (!timeline || animation.duration <= 0) return;
+  timeline.events.forEach(event => {
+    const marker = document.createElement('div');
+    marker.className = 'event-marker';
+    marker.style.left = `${Math.min(event.time / animation.duration, 1) * 100}%`;
+    marker.title = `${event.time.toFixed(3)}s ${event.data.name} (${formatEventPayload(event)})`;
+    // Markers sit over the scrubber, so clicking one seeks straight to the event
+    marker.onclick = () => seekTransport(event.time);
+    eventMarkers.appendChild(marker);
+  });
+}
 
-  // Set default selections
-  if (skins.length > 0) {
-    skinSelector.value = skins[0].name;
-  }
-  if (animations.length > 0) {
-    animSelector.value = animations[0].name || animations[0];
+function clearEventLog() {
+  eventLogList.innerHTML = '';
+  eventLogCount.textContent = '0';
+}
+
+eventLogClear.addEventListener('click', clearEventLog);
+app.ticker.add(updateEventFlash);
+
+// **NEW: Event audio (dropped sound files played when events fire)**
+const AUDIO_EXTENSIONS = ['wav', 'ogg', 'mp3'];
+let audioContext = null;
+let eventAudioFiles = new Map(); // lower-case path -> { file, buffer }
+let eventAudioMapping = {}; // event name -> file key, '' for silence; unmapped events resolve automatically
+let eventAudioVolume = 1;
+let eventAudioMuted = false;
+
+function isAudioFile(file) {
+  return AUDIO_EXTENSIONS.includes(getFileExtension(file));
+}
+
+function getAudioContext() {
+  if (!audioContext) {
+    audioContext = new (window.AudioContext || window.webkitAudioContext)();
   }
+  // Contexts created before a user gesture start suspended
+  if (audioContext.state === 'suspended') audioContext.resume();
+  return audioContext;
+}
 
-  // Update visual feedback if we have validation results
-  if (validationResults) {
-    updateSelectorVisuals();
+async function addEventAudioFiles(audioFiles) {
+  const context = getAudioContext();
+  const results = await Promise.all(audioFiles.map(async file => {
+    try {
+      const buffer = await context.decodeAudioData(await readFileAsArrayBuffer(file));
+      eventAudioFiles.set(getFilePath(file).toLowerCase(), { file, buffer });
+      return null;
+    } catch (error) {
+      return `${getFilePath(file)}: ${error.message || 'cannot decode'}`;
+    }
+  }));
+  const failed = results.filter(Boolean);
+  showTerminal(`🔊 ${audioFiles.length - failed.length} sound file(s) ready for events`);
+  if (failed.length > 0) {
+    showWarn(`${failed.length} sound file(s) could not be decoded:\n` + failed.join('\n'));
   }
+  renderAudioPanel();
+}
 
-  showTerminal(`Populated selectors: ${skins.length} skins, ${animations.length} animations`);
+// Copy audio/volume/balance from the JSON; the runtime's SkeletonJson ignores them
+function applyEventAudioData(skeletonData, spineData) {
+  Object.keys(spineData.events || {}).forEach(name => {
+    const eventMap = spineData.events[name];
+    const eventData = skeletonData.findEvent(name);
+    if (!eventData || !eventMap) return;
+    eventData.audioPath = eventMap.audio !== undefined ? eventMap.audio : null;
+    eventData.volume = valueOr(eventMap.volume, 1);
+    eventData.balance = valueOr(eventMap.balance, 0);
+  });
+  Object.keys(spineData.animations || {}).forEach(name => {
+    const eventMaps = spineData.animations[name].events;
+    const animation = skeletonData.findAnimation(name);
+    const timeline = animation && eventMaps ? getEventTimeline(animation) : null;
+    if (!timeline) return;
+    // SkeletonJson fills the timeline in file order
+    eventMaps.forEach((eventMap, i) => {
+      const event = timeline.events[i];
+      if (!event) return;
+      event.volume = valueOr(eventMap.volume, event.data.volume);
+      event.balance = valueOr(eventMap.balance, event.data.balance);
+    });
+  });
 }
 
-function updateAnimationSelectorForSkin(skinName) {
-  if (!skeletonData) return;
+function findEventAudioFile(name) {
+  if (!name) return null;
+  const key = name.toLowerCase().replace(/\\/g, '/');
+  if (eventAudioFiles.has(key)) return key;
+  const bare = key.replace(/\.(wav|ogg|mp3)$/, '');
+  for (const [fileKey, { file }] of eventAudioFiles) {
+    // "sfx/hit" matches ".../sfx/hit.wav", "hit" matches "hit.ogg" anywhere
+    if (fileKey.replace(/\.(wav|ogg|mp3)$/, '').endsWith('/' + bare) ||
+      getFileBaseName(file).toLowerCase() === bare) {
+      return fileKey;
+    }
+  }
+  return null;
+}
 
-  // Clear and repopulate animations
-  animSelector.innerHTML = '<option value="">Select Animation</option>';
+// Payload string first, then the event's audio path, then the event name
+function resolveEventAudio(event) {
+  const name = event.data.name;
+  if (Object.prototype.hasOwnProperty.call(eventAudioMapping, name)) {
+    return eventAudioMapping[name] && eventAudioFiles.has(eventAudioMapping[name]) ? eventAudioMapping[name] : null;
+  }
+  return findEventAudioFile(event.stringValue) || findEventAudioFile(event.data.audioPath) || findEventAudioFile(name);
+}
 
-  let animations = [];
-  if (skeletonData.animations && Array.isArray(skeletonData.animations)) {
-    animations = skeletonData.animations;
-  } else if (skeletonData.animations && typeof skeletonData.animations === 'object') {
-    animations = Object.values(skeletonData.animations).filter(a => a && a.name);
+// Called for runtime events and for keys crossed by reverse/ping-pong playback alike, so the
+// sound follows the playback speed in every mode. A preview plays even while muted.
+function playEventAudio(event, preview = false) {
+  if ((eventAudioMuted && !preview) || eventAudioFiles.size === 0) return;
+  const key = resolveEventAudio(event);
+  if (!key) return;
+  const context = getAudioContext();
+  const source = context.createBufferSource();
+  source.buffer = eventAudioFiles.get(key).buffer;
+  source.playbackRate.value = getPlaybackSpeed();
+  const gain = context.createGain();
+  gain.gain.value = eventAudioVolume * valueOr(event.volume, valueOr(event.data.volume, 1));
+  let node = source.connect(gain);
+  if (context.createStereoPanner) {
+    const panner = context.createStereoPanner();
+    panner.pan.value = Math.max(-1, Math.min(1, valueOr(event.balance, valueOr(event.data.balance, 0))));
+    node = node.connect(panner);
   }
+  node.connect(context.destination);
+  source.start();
+}
 
-  animations.forEach(anim => {
-    if (anim && (anim.name || typeof anim === 'string')) {
-      const animName = typeof anim === 'string' ? anim : anim.name;
-      const opt = document.createElement('option');
-      opt.value = animName;
-      opt.textContent = animName;
+function renderAudioPanel() {
+  audioPanel.innerHTML = '';
+  const events = skeletonData ? skeletonData.events : [];
+  if (eventAudioFiles.size === 0 && events.length === 0) {
+    audioPanel.style.display = 'none';
+    return;
+  }
+  audioPanel.style.display = 'flex';
+
+  const header = document.createElement('div');
+  header.className = 'tracks-header';
+  header.appendChild(document.createTextNode(`Event audio (${eventAudioFiles.size} files)`));
+
+  const add = document.createElement('button');
+  add.textContent = '+ Sounds';
+  add.onclick = () => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.multiple = true;
+    input.accept = AUDIO_EXTENSIONS.map(ext => '.' + ext).join(',');
+    input.onchange = () => addEventAudioFiles(Array.from(input.files));
+    input.click();
+  };
 
-      // Apply visual feedback based on validation
-      if (validationResults && skinName && validationResults.skins[skinName]) {
-        const hasMissing = validationResults.skins[skinName].missing.length > 0;
-        if (hasMissing) {
-          opt.className = 'has-missing';
-          opt.title = `${skinName} has ${validationResults.skins[skinName].missing.length} missing attachments`;
-        }
+  const mute = document.createElement('label');
+  const muteBox = document.createElement('input');
+  muteBox.type = 'checkbox';
+  muteBox.checked = eventAudioMuted;
+  muteBox.onchange = () => {
+    eventAudioMuted = muteBox.checked;
+  };
+  mute.appendChild(muteBox);
+  mute.appendChild(document.createTextNode('mute'));
+
+  const volume = document.createElement('input');
+  volume.type = 'range';
+  volume.min = 0;
+  volume.max = 1;
+  volume.step = 0.05;
+  volume.value = eventAudioVolume;
+  volume.title = 'Master volume';
+  volume.oninput = () => {
+    eventAudioVolume = parseFloat(volume.value);
+  };
+
+  [add, mute, volume].forEach(el => header.appendChild(el));
+  audioPanel.appendChild(header);
+
+  const fileKeys = Array.from(eventAudioFiles.keys()).sort();
+  events.forEach(eventData => {
+    const row = document.createElement('div');
+    row.className = 'track-row';
+
+    const label = document.createElement('span');
+    label.textContent = eventData.name;
+
+    const select = document.createElement('select');
+    const auto = findEventAudioFile(eventData.stringValue) || findEventAudioFile(eventData.audioPath) ||
+      findEventAudioFile(eventData.name);
+    const options = [
+      [null, `Auto${auto ? ` (${getFilePath(eventAudioFiles.get(auto).file)})` : ''}`],
+      ['', 'Silent']
+    ].concat(fileKeys.map(key => [key, getFilePath(eventAudioFiles.get(key).file)]));
+    options.forEach(([value, text]) => {
+      const opt = document.createElement('option');
+      opt.value = value === null ? '*' : value;
+      opt.textContent = text;
+      select.appendChild(opt);
+    });
+    select.value = Object.prototype.hasOwnProperty.call(eventAudioMapping, eventData.name)
+      ? eventAudioMapping[eventData.name] : '*';
+    select.onchange = () => {
+      if (select.value === '*') {
+        delete eventAudioMapping[eventData.name];
+      } else {
+        eventAudioMapping[eventData.name] = select.value;
       }
+      scheduleSessionUpdate();
+    };
 
-      animSelector.appendChild(opt);
-    }
+    const preview = document.createElement('button');
+    preview.textContent = '▶';
+    preview.title = 'Preview with the event defaults at the current playback speed';
+    preview.onclick = () => playEventAudio({ data: eventData, stringValue: eventData.stringValue }, true);
+
+    [label, select, preview].forEach(el => row.appendChild(el));
+    audioPanel.appendChild(row);
   });
+}
 
-  updateSelectorVisuals();
+// **NEW: Playlist (queued animations on track 0)**
+// Entries are chained with addAnimation. delay follows addAnimation: > 0 is seconds after the
+// previous entry started, <= 0 counts from the previous entry's end minus this entry's mix.
+let playlist = { loop: false, entries: [] }; // entries: { animation, delay, mix }
+let playlistRun = 0; // bumped on every play/stop so listeners of old runs go quiet
+let activePlaylistSchedule = null;
+// Entries queued by the active run and their schedule index. Kept off the entries, which the
+// runtime pools; disposed entries are dropped by the state listener in loadSpineAssets.
+let playlistEntries = new Map();
+
+function getPlaylistSchedule(entries) {
+  const schedule = [];
+  entries.forEach((item, i) => {
+    const animation = skeletonData.findAnimation(item.animation);
+    const duration = animation ? animation.duration : 0;
+    const start = i === 0 ? 0 : schedule[i - 1].start + getPlaylistDelay(schedule[i - 1], item);
+    schedule.push({ ...item, start, duration });
+  });
+  return schedule;
 }
 
-function updateSelectorVisuals() {
-  // Add CSS classes for visual feedback
-  const currentSkin = skinSelector.value;
-  const skinOptions = Array.from(skinSelector.options);
-  const animOptions = Array.from(animSelector.options);
+function getPlaylistDelay(previous, item) {
+  return item.delay > 0 ? item.delay : Math.max(previous.duration + item.delay - item.mix, 0);
+}
 
-  skinOptions.forEach(opt => {
-    if (opt.value === currentSkin) {
-      opt.selected = true;
-    }
-    // Mark skins with missing attachments
-    if (validationResults && validationResults.skins[opt.value] &&
-      validationResults.skins[opt.value].missing.length > 0) {
-      opt.className = 'has-missing';
+function playPlaylist() {
+  if (!spineObj || !skeletonData) return;
+  const missing = playlist.entries.filter(item => !skeletonData.findAnimation(item.animation));
+  if (missing.length > 0) {
+    showTerminal(`⚠️ Playlist skips missing animations: ${missing.map(item => item.animation || '(none)').join(', ')}`);
+  }
+  const entries = playlist.entries.filter(item => skeletonData.findAnimation(item.animation));
+  if (entries.length === 0) {
+    showWarn('The playlist has no animations from this skeleton.');
+    return;
+  }
+
+  stopPlaylist();
+  const run = playlistRun;
+  activePlaylistSchedule = getPlaylistSchedule(entries);
+  renderPlaylistTimeline(activePlaylistSchedule);
+  spineObj.state.clearTrack(0);
+  queuePlaylistRound(activePlaylistSchedule, run, true);
+  setPlaybackPaused(false);
+  showTerminal(`📜 Playlist: ${entries.map(item => item.animation).join(' → ')}${playlist.loop ? ' (looping)' : ''}`);
+}
+
+function queuePlaylistRound(schedule, run, first) {
+  const state = spineObj.state;
+  schedule.forEach((item, i) => {
+    let entry;
+    if (i === 0 && first) {
+      entry = state.setAnimation(0, item.animation, false);
     } else {
-      opt.className = '';
+      const previous = i === 0 ? schedule[schedule.length - 1] : schedule[i - 1];
+      // A zero delay would make the runtime recompute it with the AnimationStateData mix
+      entry = state.addAnimation(0, item.animation, false, Math.max(getPlaylistDelay(previous, item), 0.0001));
+    }
+    entry.mixDuration = item.mix;
+    playlistEntries.set(entry, i);
+    if (i === schedule.length - 1 && playlist.loop) {
+      // Queue the next round as soon as the last entry starts, so it chains like the others
+      entry.listener = {
+        start: () => {
+          if (run === playlistRun && spineObj) queuePlaylistRound(schedule, run, false);
+        }
+      };
     }
   });
+}
 
-  animOptions.forEach(opt => {
-    if (opt.value && currentSkin && !canAnimationPlayWithSkin(opt.value, currentSkin)) {
-      opt.className = 'unavailable';
-    } else {
-      opt.className = '';
-    }
+function stopPlaylist() {
+  playlistRun++;
+  activePlaylistSchedule = null;
+  playlistEntries.clear();
+  playlistTimeline.style.display = 'none';
+}
+
+function renderPlaylistTimeline(schedule) {
+  playlistTimeline.innerHTML = '';
+  const total = Math.max(...schedule.map(item => item.start + item.duration), 0.0001);
+  schedule.forEach((item, i) => {
+    const segment = document.createElement('div');
+    segment.className = 'playlist-segment';
+    segment.style.left = `${item.start / total * 100}%`;
+    segment.style.width = `${item.duration / total * 100}%`;
+    segment.textContent = item.animation;
+    segment.title = `${i + 1}. ${item.animation}: ${item.start.toFixed(2)}s – ${(item.start + item.duration).toFixed(2)}s, mix ${item.mix}s`;
+    playlistTimeline.appendChild(segment);
   });
+  const playhead = document.createElement('div');
+  playhead.className = 'playlist-playhead';
+  playlistTimeline.appendChild(playhead);
+  playlistTimeline.dataset.total = total;
+  playlistTimeline.style.display = 'block';
 }
 
-function canAnimationPlayWithSkin(animName, skinName) {
-  if (!validationResults || !validationResults.skins[skinName]) {
-    return true; // Assume it's fine if no validation data
+function updatePlaylistTimeline() {
+  if (!activePlaylistSchedule) return;
+  const entry = spineObj && spineObj.state ? spineObj.state.getCurrent(0) : null;
+  if (!entry || !playlistEntries.has(entry)) {
+    // Something else took over track 0
+    stopPlaylist();
+    return;
   }
-
-  const skinData = validationResults.skins[skinName];
-  // If skin has some valid attachments, assume animations can play
-  return (skinData.attachments && Object.keys(skinData.attachments).length > 0) ||
-    (skinData.total === 0); // If no attachments defined, assume it's okay
+  const index = playlistEntries.get(entry);
+  const item = activePlaylistSchedule[index];
+  const time = item.start + Math.min(entry.trackTime, item.duration);
+  const segments = playlistTimeline.querySelectorAll('.playlist-segment');
+  segments.forEach((segment, i) => segment.classList.toggle('current', i === index));
+  playlistTimeline.querySelector('.playlist-playhead').style.left =
+    `${time / parseFloat(playlistTimeline.dataset.total) * 100}%`;
 }
 
-// **NEW: Load button handler**
-loadButton.addEventListener('click', async () => {
-  try {
-    loadButton.disabled = true;
-    loadButton.textContent = 'Loading...';
-    loadButton.className = 'loading';
+function downloadJson(data, fileName) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
 
-    clearTerminal();
-    showTerminal('Starting validation and loading process...');
+function loadPlaylistFile() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json';
+  input.onchange = async () => {
+    if (!input.files[0]) return;
+    try {
+      const data = JSON.parse(await readFileAsText(input.files[0]));
+      if (!data || !Array.isArray(data.entries)) {
+        throw new Error('expected { "loop": …, "entries": [...] }');
+      }
+      playlist = {
+        loop: !!data.loop,
+        entries: data.entries.map(item => ({
+          animation: String(item.animation || ''),
+          delay: Number(item.delay) || 0,
+          mix: item.mix !== undefined ? Math.max(0, Number(item.mix) || 0) : mixSettings.defaultMix
+        }))
+      };
+      showTerminal(`📜 Loaded playlist with ${playlist.entries.length} entries`);
+      renderPlaylistPanel();
+      scheduleSessionUpdate();
+    } catch (error) {
+      showError('Invalid playlist: ' + error.message);
+    }
+  };
+  input.click();
+}
 
-    // First validate
-    const validation = await validateSpineAssets();
-    displayValidationResults(validation);
+function renderPlaylistPanel() {
+  playlistPanel.innerHTML = '';
+  if (!skeletonData) {
+    playlistPanel.style.display = 'none';
+    return;
+  }
+  playlistPanel.style.display = 'flex';
+  const animationNames = getAvailableAnimations(skeletonData).map(animation => animation.name);
+  const changed = () => {
+    renderPlaylistPanel();
+    scheduleSessionUpdate();
+  };
 
-    if (validation.missingAttachments.length > 0) {
-      showTerminal(`Found ${validation.missingAttachments.length} missing attachments.`);
-      const proceed = confirm(
-        `Found ${validation.missingAttachments.length} missing attachments.\n` +
-        `Animation may not display correctly.\n\nContinue loading anyway?`
-      );
-      if (!proceed) {
-        showTerminal('Load cancelled by user');
-        return;
+  const header = document.createElement('div');
+  header.className = 'tracks-header';
+  header.appendChild(document.createTextNode('Playlist'));
+  const buttons = [
+    ['+ Entry', () => {
+      playlist.entries.push({ animation: animationNames[0] || '', delay: 0, mix: mixSettings.defaultMix });
+      changed();
+    }],
+    ['▶ Play', playPlaylist],
+    ['■ Stop', () => {
+      stopPlaylist();
+      if (spineObj) {
+        spineObj.state.clearTrack(0);
+        spineObj.skeleton.setToSetupPose();
+        applyPausedPose();
       }
+    }],
+    ['Save', () => downloadJson(playlist, `${files.skeleton ? getFileBaseName(files.skeleton) : 'skeleton'}-playlist.json`)],
+    ['Load', loadPlaylistFile]
+  ];
+  buttons.forEach(([text, onclick]) => {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.onclick = onclick;
+    header.appendChild(button);
+  });
+  const loop = document.createElement('label');
+  const loopBox = document.createElement('input');
+  loopBox.type = 'checkbox';
+  loopBox.checked = playlist.loop;
+  loopBox.onchange = () => {
+    playlist.loop = loopBox.checked;
+    scheduleSessionUpdate();
+  };
+  loop.appendChild(loopBox);
+  loop.appendChild(document.createTextNode('loop sequence'));
+  header.appendChild(loop);
+  playlistPanel.appendChild(header);
+
+  playlist.entries.forEach((item, index) => {
+    const row = document.createElement('div');
+    row.className = 'track-row';
+
+    const label = document.createElement('span');
+    label.textContent = `${index + 1}.`;
+
+    const animation = document.createElement('select');
+    animationNames.forEach(name => {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = name;
+      animation.appendChild(opt);
+    });
+    if (item.animation && animationNames.indexOf(item.animation) === -1) {
+      // Keep entries from other skeletons visible instead of silently renaming them
+      const opt = document.createElement('option');
+      opt.value = item.animation;
+      opt.textContent = `${item.animation} (missing)`;
+      animation.appendChild(opt);
     }
+    animation.value = item.animation;
+    animation.onchange = () => {
+      item.animation = animation.value;
+      scheduleSessionUpdate();
+    };
 
-    showTerminal('Starting asset loading...');
-    // Then load
-    await loadSpineAssets();
+    const numberField = (text, key, title) => {
+      const field = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = 0.05;
+      input.value = item[key];
+      input.title = title;
+      input.onchange = () => {
+        item[key] = parseFloat(input.value) || 0;
+        if (key === 'mix') item.mix = Math.max(0, item.mix);
+        scheduleSessionUpdate();
+      };
+      field.appendChild(document.createTextNode(text));
+      field.appendChild(input);
+      return field;
+    };
+    const delay = numberField('delay', 'delay', '> 0: seconds after the previous entry starts; <= 0: from its end, minus the mix');
+    const mix = numberField('mix', 'mix', 'Mix duration into this entry, in seconds');
+
+    const move = (delta, text, title) => {
+      const button = document.createElement('button');
+      button.textContent = text;
+      button.title = title;
+      button.disabled = index + delta < 0 || index + delta >= playlist.entries.length;
+      button.onclick = () => {
+        const [moved] = playlist.entries.splice(index, 1);
+        playlist.entries.splice(index + delta, 0, moved);
+        changed();
+      };
+      return button;
+    };
+    const remove = document.createElement('button');
+    remove.textContent = '✕';
+    remove.title = 'Remove entry';
+    remove.onclick = () => {
+      playlist.entries.splice(index, 1);
+      changed();
+    };
 
-  } catch (error) {
-    showError('Process failed: ' + error.message);
-    showTerminal('Process error: ' + error.message);
-    console.error('Load error:', error);
-  } finally {
-    loadButton.disabled = false;
-    loadButton.textContent = validationResults && validationResults.missingAttachments.length > 0
-      ? `Reload (${validationResults.missingAttachments.length} warnings)`
-      : 'Reload';
-    loadButton.className = validationResults && validationResults.missingAttachments.length > 0
-      ? 'warning'
-      : 'success';
+    [label, animation, delay, mix, move(-1, '▲', 'Earlier'), move(1, '▼', 'Later'), remove]
+      .forEach(el => row.appendChild(el));
+    playlistPanel.appendChild(row);
+  });
+}
+
+app.ticker.add(updatePlaylistTimeline);
+
+// **NEW: Layer tracks (1 and up) on top of the animation selector's track 0**
+// Each entry mirrors one AnimationState track; alpha and loop apply to the running entry,
+// animation, mix and enable changes set a new entry (or mix out to an empty animation).
+let layerTracks = []; // { index, animation, alpha, loop, mixDuration, enabled }
+
+function addLayerTrack() {
+  const index = layerTracks.reduce((max, track) => Math.max(max, track.index), 0) + 1;
+  layerTracks.push({ index, animation: '', alpha: 1, loop: true, mixDuration: 0.2, enabled: true });
+  renderTracksPanel();
+}
+
+function removeLayerTrack(track) {
+  layerTracks = layerTracks.filter(t => t !== track);
+  if (spineObj) {
+    spineObj.state.setEmptyAnimation(track.index, track.mixDuration);
+    applyPausedPose();
   }
-});
+  renderTracksPanel();
+  scheduleSessionUpdate();
+}
 
-revalidateButton.addEventListener('click', async () => {
-  try {
-    revalidateButton.disabled = true;
-    revalidateButton.textContent = 'Validating...';
-    const validation = await validateSpineAssets();
-    displayValidationResults(validation);
-    if (skeletonData) {
-      populateSelectorsWithSkinAwareness();
+function applyLayerTrack(track) {
+  if (!spineObj || !spineObj.state) return;
+  const state = spineObj.state;
+  if (!track.enabled || !track.animation || !state.hasAnimation(track.animation)) {
+    if (state.getCurrent(track.index)) {
+      state.setEmptyAnimation(track.index, track.mixDuration);
+    }
+  } else {
+    const entry = state.setAnimation(track.index, track.animation, track.loop);
+    entry.alpha = track.alpha;
+    entry.mixDuration = track.mixDuration;
+    showTerminal(`▶️ Track ${track.index}: ${track.animation} (alpha ${track.alpha.toFixed(2)}, mix ${track.mixDuration}s)`);
+  }
+  applyPausedPose();
+  scheduleSessionUpdate();
+}
+
+function applyLayerTracks() {
+  layerTracks.forEach(track => {
+    if (track.animation && skeletonData && !skeletonData.findAnimation(track.animation)) {
+      showTerminal(`⚠️ Track ${track.index}: animation ${track.animation} not in this skeleton`);
+      track.animation = '';
     }
-  } catch (error) {
-    showError('Re-validation failed: ' + error.message);
-  } finally {
-    revalidateButton.disabled = false;
-    revalidateButton.textContent = 'Re-validate';
+    applyLayerTrack(track);
+  });
+  renderTracksPanel();
+}
+
+function updateRunningLayerEntry(track) {
+  const entry = spineObj && spineObj.state ? spineObj.state.getCurrent(track.index) : null;
+  if (entry && entry.animation && entry.animation.name === track.animation) {
+    entry.alpha = track.alpha;
+    entry.loop = track.loop;
+    applyPausedPose();
   }
-});
+  scheduleSessionUpdate();
+}
 
-// **ENHANCED: Actual loading after validation**
-async function loadSpineAssets() {
-  if (!files.json || files.atlases.length === 0 || files.images.length === 0) {
-    showWarn('Please select all required files first.');
+function renderTracksPanel() {
+  tracksPanel.innerHTML = '';
+  if (!skeletonData) {
+    tracksPanel.style.display = 'none';
     return;
   }
+  tracksPanel.style.display = 'flex';
+
+  const header = document.createElement('div');
+  header.className = 'tracks-header';
+  header.textContent = 'Tracks (0 = Animation above)';
+  const add = document.createElement('button');
+  add.textContent = '+ Track';
+  add.onclick = addLayerTrack;
+  header.appendChild(add);
+  tracksPanel.appendChild(header);
+
+  const animationNames = getAvailableAnimations(skeletonData).map(animation => animation.name);
+  layerTracks.forEach(track => {
+    const row = document.createElement('div');
+    row.className = 'track-row' + (track.enabled ? '' : ' disabled');
+
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = track.enabled;
+    enabled.title = 'Enable track';
+    enabled.onchange = () => {
+      track.enabled = enabled.checked;
+      row.classList.toggle('disabled', !track.enabled);
+      applyLayerTrack(track);
+    };
 
-  clearTerminal();
-  showTerminal('Loading Spine assets...');
-
-  try {
-    const jsonContent = await readFileAsText(files.json);
-    const atlasContents = await Promise.all(
-      files.atlases.map(atlasFile => readFileAsText(atlasFile))
-    );
+    const label = document.createElement('span');
+    label.textContent = `Track ${track.index}`;
 
-    // Create image map
-    const imageMap = {};
-    files.images.forEach(imgFile => {
-      imageMap[imgFile.name] = URL.createObjectURL(imgFile);
+    const animation = document.createElement('select');
+    animation.innerHTML = '<option value="">(none)</option>';
+    animationNames.forEach(name => {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = name;
+      animation.appendChild(opt);
     });
-    showTerminal(`Created texture map for ${files.images.length} images`);
+    animation.value = track.animation;
+    animation.onchange = () => {
+      track.animation = animation.value;
+      applyLayerTrack(track);
+    };
 
-    // Custom texture loader
-    function textureLoader(line, callback) {
-      const url = imageMap[line.trim()];
-      if (!url) {
-        callback(null);
-        return;
-      }
-      try {
-        const baseTexture = PIXI.BaseTexture.from(url);
-        callback(baseTexture);
-      } catch (e) {
-        showTerminal(`Failed to load texture: ${line}`);
-        callback(null);
-      }
-    }
+    const alpha = document.createElement('input');
+    alpha.type = 'range';
+    alpha.min = 0;
+    alpha.max = 1;
+    alpha.step = 0.05;
+    alpha.value = track.alpha;
+    alpha.title = `Alpha ${track.alpha.toFixed(2)}`;
+    alpha.oninput = () => {
+      track.alpha = parseFloat(alpha.value);
+      alpha.title = `Alpha ${track.alpha.toFixed(2)}`;
+      updateRunningLayerEntry(track);
+    };
 
-    // Merge all atlas regions/pages
-    let allRegions = [];
-    let allPages = [];
-    let lastAtlas = null;
+    const loop = document.createElement('label');
+    const loopBox = document.createElement('input');
+    loopBox.type = 'checkbox';
+    loopBox.checked = track.loop;
+    loopBox.onchange = () => {
+      track.loop = loopBox.checked;
+      updateRunningLayerEntry(track);
+    };
+    loop.appendChild(loopBox);
+    loop.appendChild(document.createTextNode('loop'));
+
+    const mix = document.createElement('label');
+    const mixInput = document.createElement('input');
+    mixInput.type = 'number';
+    mixInput.min = 0;
+    mixInput.step = 0.05;
+    mixInput.value = track.mixDuration;
+    mixInput.title = 'Mix duration in seconds, used when this track changes';
+    mixInput.onchange = () => {
+      track.mixDuration = Math.max(0, parseFloat(mixInput.value) || 0);
+      scheduleSessionUpdate();
+    };
+    mix.appendChild(document.createTextNode('mix'));
+    mix.appendChild(mixInput);
 
-    showTerminal(`Processing ${atlasContents.length} atlas files...`);
-    for (let atlasContent of atlasContents) {
-      try {
-        const atlas = new PIXI.spine.core.TextureAtlas(atlasContent, textureLoader);
-        allRegions = allRegions.concat(atlas.regions || []);
-        allPages = allPages.concat(atlas.pages || []);
-        lastAtlas = atlas;
-        showTerminal(`Atlas processed: ${atlas.regions ? atlas.regions.length : 0} regions`);
-      } catch (atlasError) {
-        showTerminal(`Warning: Failed to process atlas - ${atlasError.message}`);
-      }
-    }
+    const remove = document.createElement('button');
+    remove.textContent = '✕';
+    remove.title = 'Remove track';
+    remove.onclick = () => removeLayerTrack(track);
 
-    if (lastAtlas) {
-      lastAtlas.regions = allRegions;
-      lastAtlas.pages = allPages;
-      showTerminal(`Merged atlas: ${allRegions.length} total regions`);
-    } else {
-      throw new Error('No valid atlas files could be processed');
-    }
+    [enabled, label, animation, alpha, loop, mix, remove].forEach(el => row.appendChild(el));
+    tracksPanel.appendChild(row);
+  });
+}
 
-    // Parse JSON
-    showTerminal('Parsing Spine JSON...');
-    const spineData = JSON.parse(jsonContent);
-    const spineAtlasLoader = new PIXI.spine.core.AtlasAttachmentLoader(lastAtlas);
-    const spineJsonParser = new PIXI.spine.core.SkeletonJson(spineAtlasLoader);
+// **NEW: Recent sessions persisted in IndexedDB**
+// Each session keeps the loaded files plus the skin, animation and view so one click restores it.
+const SESSION_DB_NAME = 'spine-preview';
+const SESSION_STORE = 'sessions';
+const RECENT_SESSION_LIMIT = 5;
+let currentSessionId = null;
+let sessionUpdateTimer = null;
 
-    // Enhanced error handling for missing attachments
-    const originalReadAttachment = spineJsonParser.readAttachment.bind(spineJsonParser);
-    spineJsonParser.readAttachment = function (map, skin, slotIndex, name) {
-      try {
-        return originalReadAttachment(map, skin, slotIndex, name);
-      } catch (err) {
-        if (err.message && err.message.includes("Region not found")) {
-          showTerminal(`⚠️ Skipping missing attachment: ${name} (slot ${slotIndex})`);
-          return null; // Graceful fallback
-        }
-        throw err; // Re-throw other errors
-      }
+function openSessionDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(SESSION_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(SESSION_STORE, { keyPath: 'id', autoIncrement: true });
     };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
 
-    showTerminal('Creating skeleton data...');
-    skeletonData = spineJsonParser.readSkeletonData(spineData);
-    showTerminal('Skeleton data created successfully');
+// operation gets the object store and may return a request whose result is resolved
+async function withSessionStore(mode, operation) {
+  const db = await openSessionDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(SESSION_STORE, mode);
+      const request = operation(transaction.objectStore(SESSION_STORE));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Session storage aborted'));
+    });
+  } finally {
+    db.close();
+  }
+}
 
-    // Create and setup Spine object
-    showTerminal('Creating Spine object...');
-    if (spineObj) {
-      app.stage.removeChild(spineObj);
-      spineObj.destroy({ children: true, texture: true, baseTexture: true });
-    }
+async function listRecentSessions() {
+  const sessions = await withSessionStore('readonly', store => store.getAll());
+  return sessions.sort((a, b) => b.savedAt - a.savedAt);
+}
 
-    spineObj = new PIXI.spine.Spine(skeletonData);
+// Structured clone keeps File contents but not expando properties like relativePath
+function toStoredFile(file) {
+  return { file, path: getFilePath(file) };
+}
 
-    // Auto-center and scale
-    spineObj.x = app.renderer.width / 2;
-    spineObj.y = app.renderer.height / 2;
+function fromStoredFile(stored) {
+  const file = stored.file;
+  file.relativePath = stored.path;
+  return file;
+}
 
-    // Wait one frame for bounds to be calculated
-    await new Promise(resolve => requestAnimationFrame(resolve));
+function getSessionSignature(sessionFiles) {
+  return [sessionFiles.skeleton, ...sessionFiles.atlases, ...sessionFiles.images]
+    .map(file => `${getFilePath(file)}:${file.size}:${file.lastModified}`)
+    .join('|');
+}
 
-    const bounds = spineObj.getBounds();
-    const scaleX = (app.renderer.width * 0.8) / bounds.width;
-    const scaleY = (app.renderer.height * 0.8) / bounds.height;
-    spineObj.scale.set(Math.min(scaleX, scaleY, 0.8));
+function captureSessionState() {
+  const track = spineObj && spineObj.state ? spineObj.state.getCurrent(0) : null;
+  return {
+    skin: currentSkin,
+    animation: track && track.animation ? track.animation.name : null,
+    view: spineObj ? {
+      offsetX: spineObj.x - app.renderer.width / 2,
+      offsetY: spineObj.y - app.renderer.height / 2,
+      scale: spineObj.scale.x,
+      customized: viewCustomized
+    } : null,
+    pmaOverrides: Array.from(pmaOverrides),
+    tracks: layerTracks.map(track => ({ ...track })),
+    mix: JSON.parse(JSON.stringify(mixSettings)),
+    playlist: JSON.parse(JSON.stringify(playlist)),
+    audioMapping: { ...eventAudioMapping },
+    background: getBackgroundState()
+  };
+}
 
-    showTerminal(`Bounds: ${Math.round(bounds.width)}x${Math.round(bounds.height)}, Scale: ${spineObj.scale.x.toFixed(2)}`);
+function applySessionState(state) {
+  if (!spineObj || !skeletonData) return;
+  if (state.skin && skeletonData.findSkin(state.skin)) {
+    setSkin(state.skin);
+    skinSelector.value = state.skin;
+  } else if (state.skin) {
+    showTerminal(`⚠️ Skin not found: ${state.skin}`);
+  }
+  if (state.animation && spineObj.state.hasAnimation(state.animation)) {
+    playAnimation(state.animation);
+    animSelector.value = state.animation;
+  } else if (state.animation) {
+    showTerminal(`⚠️ Animation not found: ${state.animation}`);
+  }
+  if (state.mix) {
+    mixSettings = JSON.parse(JSON.stringify(state.mix));
+    applyMixSettings();
+    renderMixControls();
+  }
+  if (state.playlist) {
+    playlist = JSON.parse(JSON.stringify(state.playlist));
+    renderPlaylistPanel();
+  }
+  if (state.audioMapping) {
+    eventAudioMapping = { ...state.audioMapping };
+    renderAudioPanel();
+  }
+  if (state.background) {
+    applyBackgroundState(state.background).catch(error => {
+      showTerminal(`⚠️ Could not restore background: ${error.message}`);
+    });
+  }
+  if (state.tracks) {
+    layerTracks = state.tracks.map(track => ({ ...track }));
+    applyLayerTracks();
+  }
+  if (state.view) {
+    spineObj.x = app.renderer.width / 2 + state.view.offsetX;
+    spineObj.y = app.renderer.height / 2 + state.view.offsetY;
+    spineObj.scale.set(state.view.scale);
+    viewCustomized = state.view.customized !== false;
+    updateZoomValue();
+  }
+}
 
-    app.stage.addChild(spineObj);
-    showTerminal('Spine object added to stage');
+// replaceId: session to overwrite even though its files changed (live reload)
+async function saveRecentSession(replaceId = null) {
+  const signature = getSessionSignature(files);
+  const sessions = await listRecentSessions();
+  const existing = sessions.find(session => session.id === replaceId) ||
+    sessions.find(session => session.signature === signature);
+  const session = {
+    name: files.skeleton.name,
+    signature,
+    savedAt: Date.now(),
+    skeleton: toStoredFile(files.skeleton),
+    atlases: files.atlases.map(toStoredFile),
+    images: files.images.map(toStoredFile),
+    ...captureSessionState()
+  };
+  if (existing) session.id = existing.id;
+  currentSessionId = await withSessionStore('readwrite', store => store.put(session));
+
+  // Keep only the newest sessions
+  const stale = sessions.filter(s => s !== existing).slice(RECENT_SESSION_LIMIT - 1);
+  await Promise.all(stale.map(s => deleteRecentSession(s.id)));
+  showTerminal(`💾 Session saved to Recent (${files.skeleton.name})`);
+  renderRecentSessions();
+}
 
-    // Populate selectors with skin awareness
-    populateSelectorsWithSkinAwareness();
+// Skin, animation and view changes are written back to the active session, debounced
+function scheduleSessionUpdate() {
+  if (currentSessionId === null) return;
+  clearTimeout(sessionUpdateTimer);
+  sessionUpdateTimer = setTimeout(() => {
+    const id = currentSessionId;
+    const state = captureSessionState();
+    withSessionStore('readwrite', store => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        if (request.result) store.put({ ...request.result, ...state });
+      };
+    }).catch(error => showTerminal(`⚠️ Could not update recent session: ${error.message}`));
+  }, 500);
+}
 
-    // Set default skin and animation
-    const defaultSkinName = getDefaultSkinName(skeletonData);
-    if (defaultSkinName) {
-      setSkin(defaultSkinName);
-    }
+function deleteRecentSession(id) {
+  if (id === currentSessionId) currentSessionId = null;
+  return withSessionStore('readwrite', store => store.delete(id));
+}
 
-    const animations = getAvailableAnimations(skeletonData);
-    if (animations.length > 0) {
-      playAnimation(animations[0]);
-    }
+async function purgeRecentSessions() {
+  if (!confirm('Remove all stored sessions and their files?')) return;
+  currentSessionId = null;
+  await withSessionStore('readwrite', store => store.clear());
+  showTerminal('🗑️ Recent sessions purged');
+  renderRecentSessions();
+}
 
-    showTerminal(`✅ Successfully loaded! ${animations.length} animations, ${getSkinCount(skeletonData)} skins`);
-    validationStatus.textContent = 'Loaded successfully';
-    validationStatus.className = 'success';
+async function restoreRecentSession(id) {
+  const session = await withSessionStore('readonly', store => store.get(id));
+  if (!session) {
+    showWarn('This session is no longer stored.');
+    renderRecentSessions();
+    return;
+  }
 
-  } catch (error) {
-    showError('Loading failed: ' + error.message);
-    showTerminal(`Load error: ${error.message}\nStack: ${error.stack}`);
-    console.error('Load error:', error);
+  files = {
+    skeleton: fromStoredFile(session.skeleton),
+    atlases: session.atlases.map(fromStoredFile),
+    images: session.images.map(fromStoredFile)
+  };
+  // Page overrides must be in place before the atlases load
+  pmaOverrides.clear();
+  (session.pmaOverrides || []).forEach(([key, value]) => pmaOverrides.set(key, value));
+  currentSessionId = session.id;
+  updateLoadButton();
+  showTerminal(`Restoring session ${session.name}...`);
+
+  const previous = spineObj;
+  await validateAndLoad();
+  if (spineObj && spineObj !== previous) {
+    applySessionState(session);
   }
 }
 
-// **NEW: Helper functions for skeleton data**
-function getDefaultSkinName(skeletonData) {
-  if (skeletonData.skins && Array.isArray(skeletonData.skins)) {
-    const defaultSkin = skeletonData.skins.find(s => s.name === 'default') || skeletonData.skins[0];
-    return defaultSkin ? defaultSkin.name : 'default';
+async function renderRecentSessions() {
+  let sessions;
+  try {
+    sessions = await listRecentSessions();
+  } catch (error) {
+    recentSessions.style.display = 'none';
+    showTerminal(`⚠️ Recent sessions unavailable: ${error.message}`);
+    return;
   }
-  return 'default';
+
+  recentSessions.innerHTML = '';
+  if (sessions.length === 0) {
+    recentSessions.style.display = 'none';
+    return;
+  }
+  recentSessions.style.display = 'flex';
+
+  const title = document.createElement('span');
+  title.textContent = 'Recent:';
+  recentSessions.appendChild(title);
+
+  sessions.forEach(session => {
+    const item = document.createElement('span');
+    item.className = 'recent-session';
+
+    const open = document.createElement('button');
+    open.textContent = session.name;
+    open.title = `${new Date(session.savedAt).toLocaleString()}\n` +
+      `${session.atlases.length} atlas(es), ${session.images.length} image(s)` +
+      (session.skin ? `\nSkin: ${session.skin}` : '') +
+      (session.animation ? `\nAnimation: ${session.animation}` : '');
+    open.onclick = () => restoreRecentSession(session.id).catch(error => {
+      showError('Restore failed: ' + error.message);
+      showTerminal('Restore error: ' + error.message);
+    });
+
+    const remove = document.createElement('button');
+    remove.textContent = '✕';
+    remove.title = 'Remove from Recent';
+    remove.onclick = () => deleteRecentSession(session.id)
+      .then(renderRecentSessions)
+      .catch(error => showTerminal(`⚠️ Could not remove recent session: ${error.message}`));
+
+    item.appendChild(open);
+    item.appendChild(remove);
+    recentSessions.appendChild(item);
+  });
+
+  const purge = document.createElement('button');
+  purge.className = 'recent-purge';
+  purge.textContent = 'Purge all';
+  purge.onclick = () => purgeRecentSessions().catch(error => showError('Purge failed: ' + error.message));
+  recentSessions.appendChild(purge);
 }
 
-function getAvailableAnimations(skeletonData) {
-  if (skeletonData.animations && Array.isArray(skeletonData.animations)) {
-    return skeletonData.animations.filter(a => a && a.name);
-  } else if (skeletonData.animations && typeof skeletonData.animations === 'object') {
-    return Object.values(skeletonData.animations).filter(a => a && a.name);
+// **NEW: Live reload of files picked through the File System Access API**
+// Changes are picked up by FileSystemObserver where the browser has it, otherwise by polling
+// the handles. Exports touch several files, so reloading waits until they stop changing.
+const WATCH_POLL_INTERVAL = 1000;
+const WATCH_SETTLE_DELAY = 600;
+let watchedFiles = []; // { handle, file, lastModified, size }
+let watchPollTimer = null;
+let watchObserver = null;
+let watchReloadTimer = null;
+let watchChecking = false;
+let watchReloading = false;
+
+async function pickWatchedFiles() {
+  let handles;
+  try {
+    handles = await window.showOpenFilePicker({
+      multiple: true,
+      types: [{
+        description: 'Spine export',
+        accept: { 'application/octet-stream': ['.json', '.skel', '.atlas', '.png', '.jpg', '.jpeg', '.webp'] }
+      }]
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') return;
+    throw error;
   }
-  return [];
+
+  stopWatching();
+  const picked = await Promise.all(handles.map(async handle => {
+    const file = await handle.getFile();
+    return { handle, file, lastModified: file.lastModified, size: file.size };
+  }));
+  await handleFiles(picked.map(watch => watch.file));
+  if (!files.skeleton) return;
+
+  watchedFiles = picked.filter(watch => isLoadedFile(watch.file));
+  if (watchedFiles.length === 0) return;
+  startWatching();
+  await validateAndLoad();
 }
 
-function getSkinCount(skeletonData) {
-  if (skeletonData.skins && Array.isArray(skeletonData.skins)) {
-    return skeletonData.skins.length;
-  } else if (skeletonData.skins && typeof skeletonData.skins === 'object') {
-    return Object.keys(skeletonData.skins).length;
+function startWatching() {
+  if (window.FileSystemObserver) {
+    watchObserver = new FileSystemObserver(() => checkWatchedFiles());
+    watchedFiles.forEach(watch => {
+      watchObserver.observe(watch.handle).catch(error => showTerminal(`⚠️ Cannot observe ${watch.handle.name}: ${error.message}`));
+    });
+  } else {
+    watchPollTimer = setInterval(checkWatchedFiles, WATCH_POLL_INTERVAL);
   }
-  return 0;
+  showTerminal(`👁️ Watching ${watchedFiles.length} file(s) for changes${watchObserver ? '' : ' (polling)'}`);
+  updateWatchButton();
 }
 
-function setSkin(skinName) {
-  if (spineObj && spineObj.skeleton && skeletonData) {
-    try {
-      const skin = skinName ? skeletonData.findSkin(skinName) : null;
-      if (skin) {
-        spineObj.skeleton.setSkin(skin);
-        spineObj.skeleton.setSlotsToSetupPose();
-        currentSkin = skinName;
+function stopWatching() {
+  if (watchObserver) watchObserver.disconnect();
+  clearInterval(watchPollTimer);
+  clearTimeout(watchReloadTimer);
+  watchObserver = null;
+  watchPollTimer = null;
+  watchedFiles = [];
+  updateWatchButton();
+}
 
-        // Update animation selector for this skin
-        updateAnimationSelectorForSkin(skinName);
+function updateWatchButton() {
+  if (!window.showOpenFilePicker) {
+    watchButton.disabled = true;
+    watchButton.title = 'Live reload needs the File System Access API (Chromium-based browsers)';
+    return;
+  }
+  watchButton.textContent = watchedFiles.length > 0 ? `Stop watching (${watchedFiles.length})` : 'Watch files…';
+  watchButton.className = watchedFiles.length > 0 ? 'active' : '';
+  watchButton.title = watchedFiles.length > 0
+    ? watchedFiles.map(watch => watch.handle.name).join('\n')
+    : 'Pick skeleton, atlas and image files to reload automatically when they change on disk';
+}
 
-        showTerminal(`🎨 Applied skin: ${skinName}`);
+function isLoadedFile(file) {
+  return files.skeleton === file || files.atlases.includes(file) || files.images.includes(file);
+}
 
-        // Check for missing attachments in current skin
-        if (validationResults && validationResults.skins[skinName]) {
-          const missingCount = validationResults.skins[skinName].missing.length;
-          if (missingCount > 0) {
-            showTerminal(`⚠️ Skin ${skinName} has ${missingCount} missing attachments`);
-          }
-        }
-      } else {
-        showTerminal(`❌ Skin not found: ${skinName}. Available skins: ${getSkinNames(skeletonData).join(', ')}`);
-      }
-    } catch (error) {
-      showTerminal(`Error applying skin ${skinName}: ${error.message}`);
-    }
-  }
+function replaceLoadedFile(oldFile, newFile) {
+  if (oldFile.relativePath) newFile.relativePath = oldFile.relativePath;
+  if (files.skeleton === oldFile) files.skeleton = newFile;
+  files.atlases = files.atlases.map(file => file === oldFile ? newFile : file);
+  files.images = files.images.map(file => file === oldFile ? newFile : file);
 }
 
-function getSkinNames(skeletonData) {
-  if (skeletonData.skins && Array.isArray(skeletonData.skins)) {
-    return skeletonData.skins.map(s => s.name).filter(Boolean);
-  } else if (skeletonData.skins && typeof skeletonData.skins === 'object') {
-    return Object.keys(skeletonData.skins).filter(k => skeletonData.skins[k] && skeletonData.skins[k].name);
+async function checkWatchedFiles() {
+  if (watchChecking) return;
+  watchChecking = true;
+  try {
+    const changed = [];
+    for (const watch of watchedFiles) {
+      let file;
+      try {
+        file = await watch.handle.getFile();
+      } catch (error) {
+        continue; // Removed or still being written; the next check picks it up
+      }
+      if (file.lastModified !== watch.lastModified || file.size !== watch.size) {
+        replaceLoadedFile(watch.file, file);
+        Object.assign(watch, { file, lastModified: file.lastModified, size: file.size });
+        changed.push(watch.handle.name);
+      }
+    }
+    if (changed.length > 0) {
+      showTerminal(`🔄 Changed on disk: ${changed.join(', ')}`);
+      clearTimeout(watchReloadTimer);
+      watchReloadTimer = setTimeout(reloadWatchedFiles, WATCH_SETTLE_DELAY);
+    }
+  } finally {
+    watchChecking = false;
   }
-  return ['default'];
 }
 
-function playAnimation(name) {
-  if (!spineObj || !spineObj.state) {
-    showTerminal('❌ No Spine object available');
+// Re-runs validation and loading without prompts, keeping skin, animation, time and camera
+async function reloadWatchedFiles() {
+  if (watchReloading) {
+    watchReloadTimer = setTimeout(reloadWatchedFiles, WATCH_SETTLE_DELAY);
     return;
   }
-
-  if (!spineObj.state.hasAnimation(name)) {
-    showTerminal(`❌ Animation not found: ${name}`);
+  if (!watchedFiles.some(watch => isLoadedFile(watch.file))) {
+    stopWatching();
+    showTerminal('Stopped watching: other files were loaded');
     return;
   }
 
-  // Check if animation is suitable for current skin
-  if (currentSkin && !canAnimationPlayWithSkin(name, currentSkin)) {
-    const proceed = confirm(
-      `Warning: Animation "${name}" may not display correctly with skin "${currentSkin}" ` +
-      `(missing attachments). Continue anyway?`
-    );
-    if (!proceed) return;
-  }
-
+  watchReloading = true;
+  const state = captureSessionState();
+  const track = spineObj && spineObj.state ? spineObj.state.getCurrent(0) : null;
+  const time = track && track.animation ? getTransportTime(track) : 0;
   try {
-    spineObj.state.setAnimation(0, name, true);
-    showTerminal(`▶️ Playing: ${name} (${currentSkin || 'default'})`);
+    const validation = await validateSpineAssets();
+    displayValidationResults(validation);
+    const previous = spineObj;
+    await loadSpineAssets({ keepSession: true });
+    if (!spineObj || spineObj === previous) return;
+
+    applySessionState(state);
+    const reloadedTrack = spineObj.state.getCurrent(0);
+    if (reloadedTrack && reloadedTrack.animation && reloadedTrack.animation.name === state.animation) {
+      seekTransport(time);
+    }
+    showTerminal(`🔄 Live reload done at ${time.toFixed(2)}s`);
   } catch (error) {
-    showTerminal(`Error playing animation ${name}: ${error.message}`);
+    showError('Live reload failed: ' + error.message);
+    showTerminal('Live reload error: ' + error.message);
+  } finally {
+    watchReloading = false;
   }
 }
 
-// Event listeners
-skinSelector.addEventListener("change", e => {
-  const skinName = e.target.value;
-  if (skinName) {
-    setSkin(skinName);
+watchButton.addEventListener('click', () => {
+  if (watchedFiles.length > 0) {
+    stopWatching();
+    showTerminal('Stopped watching files');
+    return;
   }
+  pickWatchedFiles().catch(error => {
+    showError('Watching failed: ' + error.message);
+    showTerminal('Watch error: ' + error.message);
+  });
 });
 
-animSelector.addEventListener("change", e => {
-  const animName = e.target.value;
-  if (animName) {
-    playAnimation(animName);
+// **NEW: Load from URL query parameters**
+// ?json=…&atlas=…[&atlas=…][&skin=…][&anim=…] — atlas pages are fetched relative to their atlas URL.
+// Fetched files get their URL path as relativePath so the usual page resolution applies.
+async function fetchAsFile(url) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new Error(`Could not fetch ${url}: ${error.message}`);
   }
-});
-
-// Utility function
-function readFileAsText(file) {
-  return new Promise((resolve, reject) => {
-    if (!file) {
-      reject(new Error('No file provided'));
-      return;
-    }
-    const reader = new FileReader();
-    reader.onload = e => resolve(e.target.result);
-    reader.onerror = () => reject(new Error('Failed to read file: ' + file.name));
-    reader.readAsText(file);
-  });
+  if (!response.ok) {
+    throw new Error(`Could not fetch ${url}: HTTP ${response.status}`);
+  }
+  const blob = await response.blob();
+  const path = decodeURIComponent(url.pathname).replace(/^\/+/, '');
+  const file = new File([blob], path.split('/').pop() || 'download', { type: blob.type });
+  file.relativePath = path;
+  return file;
 }
 
-// Window resize handler
-window.addEventListener('resize', () => {
-  if (spineObj) {
-    spineObj.x = app.renderer.width / 2;
-    spineObj.y = app.renderer.height / 2;
+async function loadFromQueryParameters() {
+  const params = new URLSearchParams(window.location.search);
+  const skeletonParam = params.get('json');
+  const atlasParams = params.getAll('atlas');
+  if (!skeletonParam && atlasParams.length === 0) return;
+  if (!skeletonParam || atlasParams.length === 0) {
+    showWarn('Loading from a link needs both ?json= and ?atlas= parameters.');
+    return;
+  }
 
-    // Wait for next frame to get accurate bounds
-    requestAnimationFrame(() => {
-      if (spineObj) {
-        const bounds = spineObj.getBounds();
-        const scaleX = (app.renderer.width * 0.8) / bounds.width;
-        const scaleY = (app.renderer.height * 0.8) / bounds.height;
-        spineObj.scale.set(Math.min(scaleX, scaleY, 0.8));
-      }
+  showTerminal(`Fetching skeleton from ${skeletonParam}...`);
+  const skeletonUrl = new URL(skeletonParam, window.location.href);
+  const atlasUrls = atlasParams.map(atlas => new URL(atlas, window.location.href));
+  const [skeleton, ...atlases] = await Promise.all([skeletonUrl, ...atlasUrls].map(fetchAsFile));
+
+  // Each page once, even when several atlases share it
+  const pageUrls = new Map();
+  for (let i = 0; i < atlases.length; i++) {
+    const { pages } = parseAtlasText(await readFileAsText(atlases[i]));
+    pages.forEach(page => {
+      const pageUrl = new URL(page.name, atlasUrls[i]);
+      pageUrls.set(pageUrl.href, pageUrl);
     });
   }
-});
+  const images = [];
+  await Promise.all(Array.from(pageUrls.values()).map(pageUrl =>
+    fetchAsFile(pageUrl)
+      .then(image => images.push(image))
+      // Missing pages still show up in the page report once loading runs
+      .catch(error => showTerminal(`⚠️ ${error.message}`))
+  ));
+  showTerminal(`Fetched ${atlases.length} atlas(es) and ${images.length} of ${pageUrls.size} page image(s)`);
+
+  files = { skeleton, atlases, images };
+  updateLoadButton();
+
+  const previous = spineObj;
+  await validateAndLoad();
+  if (spineObj && spineObj !== previous) {
+    applySessionState({ skin: params.get('skin'), animation: params.get('anim') });
+  }
+}
 
 // **NEW: Debug function - press F12 to see JSON structure**
 document.addEventListener('keydown', (e) => {
-  if (e.key === 'F12' && files.json) {
+  if (e.key === 'F12' && files.skeleton) {
     e.preventDefault();
-    readFileAsText(files.json).then(jsonContent => {
+    const isBinary = isBinarySkeletonFile(files.skeleton);
+    const read = isBinary ? readFileAsArrayBuffer(files.skeleton) : readFileAsText(files.skeleton);
+    read.then(content => {
       try {
-        const data = JSON.parse(jsonContent);
+        const data = isBinary
+          ? skeletonDataToSpineJson(readSkeletonBinary(content, createPlaceholderAttachmentLoader()))
+          : JSON.parse(content);
         console.log('=== SPINE JSON DEBUG INFO ===');
         console.log('Keys:', Object.keys(data));
         console.log('Animations:', data.animations);
@@ -1210,5 +5835,11 @@ document.addEventListener('keydown', (e) => {
 
 // Initialize
 updateLoadButton();
+updateWatchButton();
+renderRecentSessions();
 clearTerminal();
-showTerminal('Spine Animation Preview Tool Ready\nDrop files or use the file inputs to get started');
\ No newline at end of file
+showTerminal('Spine Animation Preview Tool Ready\nDrop files or use the file inputs to get started');
+loadFromQueryParameters().catch(error => {
+  showError('Loading from link failed: ' + error.message);
+  showTerminal('Link load error: ' + error.message);
+});
\ No newline at end of file